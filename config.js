@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+
+// Configuration - every tunable setting in one place. Values come from, in order
+// of precedence, environment variables (and .env), the optional JSON or YAML file
+// named by CONFIG_FILE, then the defaults below. Everything is validated at
+// startup and all problems are reported together.
+require('dotenv').config();
+
+// [path in the config object / file, environment variable, spec]
+const SETTINGS = [
+  ['server.port', 'PORT', { type: 'integer', default: 3000, min: 1, max: 65535 }],
+  ['server.trustProxy', 'TRUST_PROXY', { type: 'integer', default: env => env.RENDER === 'true' ? 1 : 0, min: 0 }],
+  ['server.allowedOrigins', 'ALLOWED_ORIGINS', { type: 'list', default: ['http://localhost:3000'] }],
+  
+  ['api.name', 'API_NAME', { type: 'string', default: "Ladybug Api'S" }],
+  ['api.version', 'API_VERSION', { type: 'string', default: 'v2.2.0' }],
+  ['api.description', 'API_DESCRIPTION', { type: 'string', default: 'Premium REST API with 65+ endpoints - Completely Free!' }],
+  ['api.creator', 'API_CREATOR', { type: 'string', default: 'Ntando Mods Team' }],
+  ['api.status', 'API_STATUS', { type: 'string', default: 'Active!' }],
+  
+  ['categories.disabled', 'DISABLED_CATEGORIES', { type: 'list', default: [] }],
+  
+  ['log.level', 'LOG_LEVEL', { type: 'string', default: 'info', values: ['debug', 'info', 'warn', 'error', 'silent'] }],
+  ['log.redact', 'LOG_REDACT', { type: 'list', default: ['password', 'text'] }],
+  
+  ['rateLimit.windowMinutes', 'RATE_LIMIT_WINDOW_MINUTES', { type: 'integer', default: 15, min: 1, max: 1440 }],
+  ['rateLimit.max', 'RATE_LIMIT_MAX', { type: 'integer', default: 100, min: 1 }],
+  ['rateLimit.store', 'RATE_LIMIT_STORE', { type: 'string', default: 'memory', values: ['memory', 'redis'] }],
+  ['rateLimit.redisUrl', 'REDIS_URL', { type: 'string', default: 'redis://127.0.0.1:6379' }],
+  
+  ['cache.ttlSeconds', 'CACHE_TTL_SECONDS', { type: 'integer', default: 300, min: 1 }],
+  ['cache.maxEntries', 'CACHE_MAX_ENTRIES', { type: 'integer', default: 1000, min: 1 }],
+  ['cache.maxMegabytes', 'CACHE_MAX_MB', { type: 'integer', default: 50, min: 1 }],
+  
+  ['apiKeys.file', 'API_KEYS_FILE', { type: 'string' }],
+  ['admin.token', 'ADMIN_TOKEN', { type: 'string' }],
+  
+  ['usage.file', 'USAGE_FILE', { type: 'string' }],
+  ['usage.retentionDays', 'USAGE_RETENTION_DAYS', { type: 'integer', default: 30, min: 1, max: 366 }],
+  ['usage.maxBuckets', 'USAGE_MAX_BUCKETS', { type: 'integer', default: 100000, min: 100 }],
+  
+  ['sessions.idleMinutes', 'SESSION_IDLE_MINUTES', { type: 'integer', default: 30, min: 1 }],
+  ['sessions.maxHistoryChars', 'SESSION_MAX_HISTORY_CHARS', { type: 'integer', default: 8000, min: 100 }],
+  
+  ['health.probeTtlSeconds', 'HEALTH_PROBE_TTL_SECONDS', { type: 'integer', default: 30, min: 1 }],
+  
+  ['jobs.concurrency', 'JOB_CONCURRENCY', { type: 'integer', default: 2, min: 1, max: 50 }],
+  ['jobs.retentionMinutes', 'JOB_RETENTION_MINUTES', { type: 'integer', default: 60, min: 1 }],
+  ['jobs.callbackSecret', 'JOB_CALLBACK_SECRET', { type: 'string' }],
+  
+  ['shutdown.timeoutSeconds', 'SHUTDOWN_TIMEOUT_SECONDS', { type: 'integer', default: 25, min: 1, max: 600 }],
+  ['shutdown.graceSeconds', 'SHUTDOWN_GRACE_SECONDS', { type: 'integer', default: 5, min: 0, max: 120 }],
+  
+  ['llm.providers', 'LLM_PROVIDERS', { type: 'list', default: ['popcat'] }]
+];
+
+// Defaults for well-known OpenAI-compatible providers listed in llm.providers
+const LLM_PRESETS = {
+  openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', apiKey: env => env.OPENAI_API_KEY },
+  ollama: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' },
+  llamacpp: { baseUrl: 'http://localhost:8080/v1', model: 'default' }
+};
+
+// Per provider, read from llm.<name>.* in the file or LLM_<NAME>_* in the environment
+const LLM_SETTINGS = [
+  ['baseUrl', 'BASE_URL', { type: 'string', required: true }],
+  ['apiKey', 'API_KEY', { type: 'string' }],
+  ['model', 'MODEL', { type: 'string', required: true }],
+  ['temperature', 'TEMPERATURE', { type: 'number', default: 0.7, min: 0, max: 2 }],
+  ['maxTokens', 'MAX_TOKENS', { type: 'integer', default: 1024, min: 1 }]
+];
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  
+  if (/\.ya?ml$/i.test(file)) {
+    return require('yaml').parse(text) || {};
+  }
+  return JSON.parse(text);
+}
+
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((value, key) => value && typeof value === 'object' ? value[key] : undefined, object);
+}
+
+function setPath(object, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+  parent[last] = value;
+}
+
+// Returns [value, problem]. Environment values are always strings; file values
+// may already be typed.
+function coerceSetting(raw, spec) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : String(raw).trim() === '' ? NaN : Number(raw);
+      if (Number.isNaN(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        return [null, `must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`];
+      }
+      if (spec.min !== undefined && value < spec.min) return [null, `must be at least ${spec.min}`];
+      if (spec.max !== undefined && value > spec.max) return [null, `must be at most ${spec.max}`];
+      return [value, null];
+    }
+    case 'list': {
+      const items = Array.isArray(raw) ? raw.map(String) : String(raw).split(',');
+      return [items.map(item => item.trim()).filter(Boolean), null];
+    }
+    default: {
+      if (typeof raw === 'object') return [null, 'must be a string'];
+      const value = String(raw);
+      if (spec.values && !spec.values.includes(value.toLowerCase())) {
+        return [null, `must be one of ${spec.values.join(', ')}`];
+      }
+      return [spec.values ? value.toLowerCase() : value, null];
+    }
+  }
+}
+
+function resolveSettings(settings, sources, target, problems) {
+  settings.forEach(([keyPath, envName, spec]) => {
+    const fromEnv = sources.env[envName];
+    const fromFile = getPath(sources.file, keyPath);
+    const raw = fromEnv !== undefined && fromEnv !== '' ? fromEnv : fromFile;
+    
+    if (raw === undefined || raw === null) {
+      const fallback = typeof spec.default === 'function' ? spec.default(sources.env) : spec.default;
+      if (fallback === undefined && spec.required) {
+        problems.push(`${envName} (${keyPath}) is required`);
+      }
+      setPath(target, keyPath, fallback);
+      return;
+    }
+    
+    const [value, problem] = coerceSetting(raw, spec);
+    if (problem) {
+      problems.push(`${envName} (${keyPath}) ${problem}, got ${JSON.stringify(raw)}`);
+      return;
+    }
+    setPath(target, keyPath, value);
+  });
+}
+
+// Throws an INVALID_CONFIG error listing every problem when anything is off.
+// categories, when given, are the names categories.disabled may use.
+function loadConfig(env = process.env, { categories } = {}) {
+  const problems = [];
+  let file = {};
+  
+  if (env.CONFIG_FILE) {
+    try {
+      file = readConfigFile(path.resolve(env.CONFIG_FILE));
+    } catch (error) {
+      problems.push(`CONFIG_FILE ${env.CONFIG_FILE} could not be read: ${error.message}`);
+    }
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+      problems.push(`CONFIG_FILE ${env.CONFIG_FILE} must contain an object`);
+      file = {};
+    }
+  }
+  
+  const config = {};
+  resolveSettings(SETTINGS, { env, file }, config, problems);
+  
+  config.llm.providers = (config.llm.providers || []).map(name => name.toLowerCase());
+  config.llm.settings = {};
+  config.llm.providers.forEach(name => {
+    if (name === 'popcat') return;
+    
+    const preset = LLM_PRESETS[name] || {};
+    const specs = LLM_SETTINGS.map(([key, envSuffix, spec]) => [
+      `llm.${name}.${key}`,
+      `LLM_${name.toUpperCase()}_${envSuffix}`,
+      preset[key] !== undefined ? { ...spec, default: preset[key] } : spec
+    ]);
+    const resolved = {};
+    resolveSettings(specs, { env, file }, resolved, problems);
+    
+    const settings = resolved.llm[name];
+    if (settings.baseUrl) settings.baseUrl = settings.baseUrl.replace(/\/+$/, '');
+    config.llm.settings[name] = settings;
+  });
+  
+  if (config.categories.disabled) {
+    config.categories.disabled = config.categories.disabled.map(category => category.toLowerCase());
+    if (config.categories.disabled.includes('system')) {
+      problems.push('DISABLED_CATEGORIES (categories.disabled) cannot include "system", health checks live there');
+    }
+    const unknown = categories ? config.categories.disabled.filter(category => !categories.includes(category)) : [];
+    if (unknown.length > 0) {
+      problems.push(`DISABLED_CATEGORIES (categories.disabled) has unknown categories ${unknown.join(', ')}; known are ${categories.join(', ')}`);
+    }
+  }
+  
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    error.code = 'INVALID_CONFIG';
+    error.problems = problems;
+    throw error;
+  }
+  
+  return config;
+}
+
+module.exports = { loadConfig };
@@ -2,48 +2,999 @@
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const v8 = require('v8');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const promClient = require('prom-client');
+const { loadConfig } = require('./config');
+const { analyzeSentiment } = require('./lib/sentiment');
+const { checkGrammar } = require('./lib/grammar');
+const { extractKeywords, KEYWORD_LANGUAGES, TFIDF_LANGUAGES } = require('./lib/keywords');
+const { summarizeExtractive } = require('./lib/summarize');
+const { detectLanguage, ISO_639_1, DETECTABLE_LANGUAGES } = require('./lib/language');
+
+// Endpoint categories; config validation needs the names to check DISABLED_CATEGORIES
+const CATEGORY_DESCRIPTIONS = {
+  ai: 'AI APIs',
+  business: 'Business Tools',
+  dev: 'Developer Tools',
+  social: 'Social Media Tools',
+  data: 'Data APIs',
+  music: 'Music APIs',
+  tools: 'Tools APIs',
+  random: 'Random APIs',
+  search: 'Search APIs',
+  download: 'Download APIs',
+  image: 'Image APIs',
+  system: 'System APIs',
+  admin: 'Admin APIs (require ADMIN_TOKEN)'
+};
 
-// Only load dotenv in non-production
-if (process.env.NODE_ENV !== 'production') {
-  require('dotenv').config();
+// Settings are validated before anything else starts; a bad value stops the
+// process with the full list of problems
+let config;
+try {
+  config = loadConfig(process.env, { categories: Object.keys(CATEGORY_DESCRIPTIONS) });
+} catch (error) {
+  if (error.code !== 'INVALID_CONFIG') throw error;
+  console.error(error.message);
+  process.exit(1);
 }
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
+
+// Behind Render's proxy every request would otherwise share the proxy's IP
+app.set('trust proxy', config.server.trustProxy);
+
+// Errors - every failure leaves through sendError() with a stable code that
+// clients can branch on instead of matching the English message
+const ERROR_CODES = {
+  MISSING_PARAMETER: { status: 400, title: 'Missing parameter' },
+  INVALID_PARAMETER: { status: 400, title: 'Invalid parameter' },
+  INVALID_URL: { status: 400, title: 'Invalid URL' },
+  INVALID_BODY: { status: 400, title: 'Malformed request body' },
+  INVALID_API_KEY: { status: 401, title: 'Invalid API key' },
+  UNAUTHORIZED: { status: 401, title: 'Unauthorized' },
+  NOT_FOUND: { status: 404, title: 'Not found' },
+  PAYLOAD_TOO_LARGE: { status: 413, title: 'Payload too large' },
+  RATE_LIMITED: { status: 429, title: 'Too many requests' },
+  QUOTA_EXCEEDED: { status: 429, title: 'Quota exceeded' },
+  INTERNAL_ERROR: { status: 500, title: 'Internal server error' },
+  UPSTREAM_UNAVAILABLE: { status: 502, title: 'Upstream service unavailable' },
+  SERVICE_DISABLED: { status: 503, title: 'Service disabled' }
+};
 
-// Rate Limiting (Simple implementation)
-const requestCounts = new Map();
-const RATE_LIMIT_WINDOW = 15 * 60 * 1000; // 15 minutes
-const RATE_LIMIT_MAX = 100; // 100 requests per window
+// Throwable from handlers; anything else that escapes is reported as INTERNAL_ERROR
+function apiError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
 
-function rateLimit(req, res, next) {
-  // Skip rate limiting in production environments that may have their own rate limiting
-  if (process.env.NODE_ENV === 'production' && process.env.RENDER === 'true') {
-    return next();
+function sendError(res, code, message, details = {}) {
+  const req = res.req;
+  const { status, title } = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+  
+  if (req.accepts(['application/json', 'application/problem+json']) === 'application/problem+json') {
+    return res.status(status).type('application/problem+json').send(JSON.stringify({
+      type: `urn:ladybug:error:${code}`,
+      title: title,
+      status: status,
+      detail: message,
+      instance: req.originalUrl,
+      code: code,
+      ...details,
+      requestId: req.id
+    }));
+  }
+  
+  res.status(status).json({
+    success: false,
+    error: message,
+    code: code,
+    ...details,
+    requestId: req.id,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Logging - one JSON object per line. LOG_LEVEL filters (debug, info, warn,
+// error, silent) and LOG_REDACT lists parameters whose values never reach the logs.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVEL = config.log.level;
+const LOG_REDACT = config.log.redact;
+
+function log(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  
+  const line = JSON.stringify({ time: new Date().toISOString(), level: level, msg: message, ...fields });
+  (level === 'error' ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// API keys are credentials and are always redacted
+function redactParams(params) {
+  const redacted = {};
+  Object.entries(params || {}).forEach(([name, value]) => {
+    redacted[name] = LOG_REDACT.includes(name) || CACHE_IGNORED_PARAMS.includes(name) ? '[REDACTED]' : value;
+  });
+  return redacted;
+}
+
+// Metrics (Prometheus text format, served at /metrics)
+const metrics = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metrics, prefix: 'ladybug_' });
+
+const httpRequests = new promClient.Counter({
+  name: 'ladybug_http_requests_total',
+  help: 'HTTP requests by route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [metrics]
+});
+
+const httpDuration = new promClient.Histogram({
+  name: 'ladybug_http_request_duration_seconds',
+  help: 'HTTP request latency by route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [metrics]
+});
+
+const cacheLookups = new promClient.Counter({
+  name: 'ladybug_cache_lookups_total',
+  help: 'Response cache lookups by route and result (hit or miss)',
+  labelNames: ['route', 'result'],
+  registers: [metrics]
+});
+
+const rateLimitRejections = new promClient.Counter({
+  name: 'ladybug_rate_limit_rejections_total',
+  help: 'Requests rejected by the rate limiter',
+  labelNames: ['reason'],
+  registers: [metrics]
+});
+
+const upstreamCalls = new promClient.Counter({
+  name: 'ladybug_upstream_requests_total',
+  help: 'Calls made to upstream providers',
+  labelNames: ['provider'],
+  registers: [metrics]
+});
+
+const upstreamFailures = new promClient.Counter({
+  name: 'ladybug_upstream_failures_total',
+  help: 'Upstream calls that failed or timed out',
+  labelNames: ['provider'],
+  registers: [metrics]
+});
+
+const upstreamShortCircuits = new promClient.Counter({
+  name: 'ladybug_upstream_short_circuits_total',
+  help: 'Upstream calls refused without trying because the circuit breaker was open',
+  labelNames: ['provider'],
+  registers: [metrics]
+});
+
+new promClient.Gauge({
+  name: 'ladybug_upstream_circuit_open',
+  help: 'Whether the circuit breaker of a provider is open (1) or half open (0.5)',
+  labelNames: ['provider'],
+  registers: [metrics],
+  collect() {
+    Object.values(upstreams).forEach(client => {
+      const { state } = client.status();
+      this.set({ provider: client.provider }, state === 'open' ? 1 : state === 'half_open' ? 0.5 : 0);
+    });
+  }
+});
+
+const fallbackResponses = new promClient.Counter({
+  name: 'ladybug_fallback_responses_total',
+  help: 'Responses answered from a local fallback because the upstream failed',
+  labelNames: ['route'],
+  registers: [metrics]
+});
+
+new promClient.Gauge({
+  name: 'ladybug_cache_entries',
+  help: 'Entries currently held in the response cache',
+  registers: [metrics],
+  collect() {
+    this.set(cache.size);
+  }
+});
+
+new promClient.Gauge({
+  name: 'ladybug_cache_bytes',
+  help: 'Bytes currently held in the response cache',
+  registers: [metrics],
+  collect() {
+    this.set(cacheBytes);
+  }
+});
+
+function countFallback(req) {
+  fallbackResponses.inc({ route: req.route.path });
+}
+
+// Upstream client - every outbound call goes through one of these. Each provider
+// gets a circuit breaker, retries with jittered backoff, a concurrency limit and
+// de-duplication of identical in-flight GET/HEAD requests. `probe` is a cheap
+// request config that readiness checks use to see whether the provider is up.
+function createUpstreamClient(provider, options = {}) {
+  const {
+    probe = null,
+    timeout = 10000,
+    retries = 1,
+    backoff = 250,
+    maxConcurrent = 10,
+    maxQueue = 50,
+    failureThreshold = 5,
+    resetTimeout = 30 * 1000
+  } = options;
+  const breaker = { state: 'closed', failures: 0, openedAt: null, probing: false };
+  const inFlight = new Map();
+  const waiting = [];
+  let active = 0;
+  
+  // closed -> open after failureThreshold consecutive failures; after resetTimeout
+  // a single probe is let through (half_open) and its outcome decides the state
+  function allowRequest() {
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= resetTimeout) {
+      breaker.state = 'half_open';
+    }
+    if (breaker.state === 'open' || (breaker.state === 'half_open' && breaker.probing)) {
+      return false;
+    }
+    if (breaker.state === 'half_open') breaker.probing = true;
+    return true;
+  }
+  
+  function recordSuccess() {
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.probing = false;
+  }
+  
+  function recordFailure() {
+    breaker.failures++;
+    breaker.probing = false;
+    if (breaker.state === 'half_open' || breaker.failures >= failureThreshold) {
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+  
+  function acquire() {
+    if (active < maxConcurrent) {
+      active++;
+      return Promise.resolve();
+    }
+    if (waiting.length >= maxQueue) {
+      return Promise.reject(apiError('UPSTREAM_UNAVAILABLE', `Too many pending requests to ${provider}`));
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  }
+  
+  // A released slot is handed straight to the next waiter
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  }
+  
+  const isRetryable = error => !error.response || error.response.status >= 500 || error.response.status === 429;
+  
+  async function send(config) {
+    for (let attempt = 0; ; attempt++) {
+      if (!allowRequest()) {
+        upstreamShortCircuits.inc({ provider });
+        throw apiError('UPSTREAM_UNAVAILABLE', `${provider} is unavailable (circuit open)`);
+      }
+      
+      await acquire();
+      upstreamCalls.inc({ provider });
+      
+      try {
+        const response = await axios.request({ timeout: timeout, ...config });
+        recordSuccess();
+        return response;
+      } catch (error) {
+        upstreamFailures.inc({ provider });
+        // Other 4xx answers are the caller's fault; the upstream itself is fine
+        if (!isRetryable(error)) {
+          recordSuccess();
+          throw error;
+        }
+        recordFailure();
+        if (attempt >= retries) throw error;
+      } finally {
+        release();
+      }
+      
+      // Full jitter keeps retries from many requests from arriving in lockstep
+      await new Promise(resolve => setTimeout(resolve, Math.random() * backoff * 2 ** attempt));
+    }
+  }
+  
+  function request(config) {
+    const method = (config.method || 'get').toLowerCase();
+    if (method !== 'get' && method !== 'head') {
+      return send(config);
+    }
+    
+    const key = JSON.stringify([method, config.url, config.params || null]);
+    if (!inFlight.has(key)) {
+      inFlight.set(key, send(config).finally(() => inFlight.delete(key)));
+    }
+    return inFlight.get(key);
+  }
+  
+  function status() {
+    const coolingDown = breaker.state === 'open' && Date.now() - breaker.openedAt < resetTimeout;
+    return {
+      provider: provider,
+      state: breaker.state === 'open' && !coolingDown ? 'half_open' : breaker.state,
+      consecutiveFailures: breaker.failures,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      retryAt: coolingDown ? new Date(breaker.openedAt + resetTimeout).toISOString() : null,
+      active: active,
+      queued: waiting.length
+    };
+  }
+  
+  return { provider, probe, request, status };
+}
+
+const upstreams = {
+  popcat_chatbot: createUpstreamClient('popcat_chatbot', { timeout: 15000, probe: { method: 'head', url: 'https://api.popcat.xyz/' } }),
+  popcat_translate: createUpstreamClient('popcat_translate', { timeout: 10000, probe: { method: 'head', url: 'https://api.popcat.xyz/' } }),
+  pollinations: createUpstreamClient('pollinations', { timeout: 5000, retries: 0, probe: { method: 'head', url: 'https://image.pollinations.ai/' } })
+};
+
+// Providers used are remembered on the request for its access log line
+function callUpstream(req, provider, config) {
+  req.upstreams = [...(req.upstreams || []), provider];
+  return upstreams[provider].request(config);
+}
+
+// LLM providers - the generative /ai endpoints try LLM_PROVIDERS in order
+// (comma separated, default "popcat") and answer from the first that succeeds.
+// OpenAI-compatible providers are configured through LLM_<NAME>_BASE_URL,
+// LLM_<NAME>_API_KEY, LLM_<NAME>_MODEL, LLM_<NAME>_TEMPERATURE and
+// LLM_<NAME>_MAX_TOKENS (see config.js for the presets).
+
+// popcat takes the prompt as a query parameter, so earlier turns are cut to fit
+const POPCAT_HISTORY_CHARS = 1500;
+
+function createPopcatProvider() {
+  return {
+    name: 'popcat',
+    upstream: 'popcat_chatbot',
+    model: 'popcat-chatbot',
+    async complete(req, { system, messages }) {
+      // The chatbot only takes a single message, so fold the instructions and
+      // the most recent earlier turns into it
+      const last = messages[messages.length - 1];
+      const turns = [];
+      let used = 0;
+      for (const message of messages.slice(0, -1).reverse()) {
+        const line = `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`;
+        if (used + line.length > POPCAT_HISTORY_CHARS) break;
+        turns.unshift(line);
+        used += line.length;
+      }
+      const history = turns.length > 0 ? `Conversation so far:\n${turns.join('\n')}\nUser:` : null;
+      
+      const response = await callUpstream(req, 'popcat_chatbot', {
+        url: 'https://api.popcat.xyz/chatbot',
+        params: {
+          msg: [system, history, last.content].filter(Boolean).join(' '),
+          owner: 'Ladybug API',
+          botname: 'Ladybug AI'
+        }
+      });
+      
+      const text = response.data && response.data.response;
+      if (typeof text !== 'string' || text.trim().length === 0) {
+        throw new Error('popcat returned an empty response');
+      }
+      return { text: text.trim(), model: 'popcat-chatbot' };
+    }
+  };
+}
+
+function createOpenAiCompatibleProvider(name) {
+  const { baseUrl, apiKey, model, temperature, maxTokens } = config.llm.settings[name];
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  upstreams[name] = createUpstreamClient(name, { timeout: 60000, probe: { url: `${baseUrl}/models`, headers: headers } });
+  
+  const chatCompletion = (req, { system, messages, temperature, maxTokens, signal }, stream) => callUpstream(req, name, {
+    method: 'post',
+    url: `${baseUrl}/chat/completions`,
+    headers: headers,
+    data: {
+      model: model,
+      messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+      temperature: temperature,
+      max_tokens: maxTokens,
+      stream: stream
+    },
+    responseType: stream ? 'stream' : 'json',
+    signal: signal
+  });
+  
+  return {
+    name: name,
+    upstream: name,
+    model: model,
+    temperature: temperature,
+    maxTokens: maxTokens,
+    async complete(req, options) {
+      const response = await chatCompletion(req, options, false);
+      
+      const choice = response.data && response.data.choices && response.data.choices[0];
+      const text = choice && choice.message && choice.message.content;
+      if (typeof text !== 'string' || text.trim().length === 0) {
+        throw new Error(`${name} returned no completion`);
+      }
+      return { text: text.trim(), model: response.data.model || model };
+    },
+    // Chunks arrive as `data: {json}` lines holding choices[0].delta.content
+    async stream(req, options, onChunk) {
+      const response = await chatCompletion(req, options, true);
+      let answeredBy = model;
+      let buffer = '';
+      
+      response.data.setEncoding('utf8');
+      for await (const piece of response.data) {
+        buffer += piece;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') return { model: answeredBy };
+          
+          const event = JSON.parse(payload);
+          const delta = event.choices && event.choices[0] && event.choices[0].delta;
+          if (event.model) answeredBy = event.model;
+          if (delta && delta.content) onChunk(delta.content);
+        }
+      }
+      return { model: answeredBy };
+    }
+  };
+}
+
+const llmProviders = config.llm.providers
+  .map(name => name === 'popcat' ? createPopcatProvider() : createOpenAiCompatibleProvider(name));
+
+// Resolves { text, model, source } from the first provider that answers and
+// throws UPSTREAM_UNAVAILABLE when none did, so callers can use their fallback.
+// options: { system, messages, temperature, maxTokens }
+async function generateText(req, options) {
+  for (const provider of llmProviders) {
+    try {
+      const result = await provider.complete(req, providerOptions(provider, options));
+      return { ...result, source: provider.name };
+    } catch (error) {
+      log('warn', 'LLM provider failed', { requestId: req.id, provider: provider.name, error: error.message });
+    }
+  }
+  
+  throw apiError('UPSTREAM_UNAVAILABLE', 'No LLM provider answered');
+}
+
+// Same as generateText but hands text to onChunk as it arrives. Providers that
+// cannot stream deliver their answer as a single chunk. Once anything has been
+// sent the answer is committed to that provider, even if it breaks off early.
+async function streamText(req, options, onChunk) {
+  for (const provider of llmProviders) {
+    let text = '';
+    const emit = chunk => {
+      text += chunk;
+      onChunk(chunk);
+    };
+    
+    try {
+      if (!provider.stream) {
+        const result = await provider.complete(req, providerOptions(provider, options));
+        emit(result.text);
+        return { ...result, source: provider.name };
+      }
+      
+      const result = await provider.stream(req, providerOptions(provider, options), emit);
+      return { text: text, model: result.model, source: provider.name };
+    } catch (error) {
+      log('warn', 'LLM provider failed', { requestId: req.id, provider: provider.name, streamed: text.length, error: error.message });
+      if (text) return { text: text, model: provider.model, source: provider.name };
+    }
+  }
+  
+  throw apiError('UPSTREAM_UNAVAILABLE', 'No LLM provider answered');
+}
+
+function providerOptions(provider, options) {
+  return {
+    temperature: options.temperature !== undefined ? options.temperature : provider.temperature,
+    maxTokens: options.maxTokens !== undefined ? options.maxTokens : provider.maxTokens,
+    system: options.system,
+    messages: options.messages,
+    signal: options.signal
+  };
+}
+
+// Streaming responses - ?stream=true or Accept: text/event-stream. Text goes out
+// as `chunk` events and the stream closes with a `done` event holding the body
+// the JSON response would have had.
+function wantsStream(req) {
+  return Boolean(req.input && req.input.stream) || (req.get('accept') || '').includes('text/event-stream');
+}
+
+function openEventStream(req, res) {
+  const controller = new AbortController();
+  // Stop generating once the client has gone away
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  
+  return {
+    signal: controller.signal,
+    send: send,
+    end(data) {
+      send('done', data);
+      res.end();
+    }
+  };
+}
+
+// Rate Limiting (sliding window counters behind a pluggable store)
+const RATE_LIMIT_WINDOW = config.rateLimit.windowMinutes * 60 * 1000;
+const RATE_LIMIT_MAX = config.rateLimit.max; // requests per window
+const RATE_LIMIT_STORE = config.rateLimit.store; // memory | redis
+const RATE_LIMIT_MAX_KEYS = 50000; // memory store evicts least recently seen clients past this
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A store counts hits in fixed windows aligned to the epoch. increment() resolves
+// to the count of the current window (including this hit) and the previous one,
+// which is all the limiter needs to estimate a sliding window.
+function createMemoryStore({ maxKeys = RATE_LIMIT_MAX_KEYS, sweepInterval = 60 * 1000 } = {}) {
+  const counters = new Map(); // id -> { window, windowMs, current, previous }
+  
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [id, counter] of counters) {
+      if (Math.floor(now / counter.windowMs) > counter.window + 1) {
+        counters.delete(id);
+      }
+    }
+  }, sweepInterval);
+  sweep.unref();
+  
+  return {
+    name: 'memory',
+    async increment(id, windowMs, now = Date.now()) {
+      const window = Math.floor(now / windowMs);
+      let counter = counters.get(id);
+      
+      if (!counter || counter.window < window - 1) {
+        counter = { window, windowMs, current: 0, previous: 0 };
+      } else if (counter.window === window - 1) {
+        counter = { window, windowMs, current: 0, previous: counter.current };
+      }
+      
+      counter.current++;
+      // Re-insert so Map order tracks recency for eviction
+      counters.delete(id);
+      counters.set(id, counter);
+      
+      if (counters.size > maxKeys) {
+        counters.delete(counters.keys().next().value);
+      }
+      
+      return { current: counter.current, previous: counter.previous };
+    },
+    size() {
+      return counters.size;
+    },
+    async close() {
+      clearInterval(sweep);
+    }
+  };
+}
+
+// Works against anything that speaks the Redis protocol (Redis, Valkey, KeyDB, Dragonfly...)
+function createRedisStore({ url = config.rateLimit.redisUrl, prefix = 'ladybug:rl:' } = {}) {
+  const Redis = require('ioredis');
+  const client = new Redis(url, { maxRetriesPerRequest: 1, enableOfflineQueue: false });
+  
+  client.on('error', error => log('error', 'Rate limit store error', { error: error.message }));
+  
+  return {
+    name: 'redis',
+    async increment(id, windowMs, now = Date.now()) {
+      const window = Math.floor(now / windowMs);
+      const key = `${prefix}${id}:${windowMs}:`;
+      const [[, current], , [, previous]] = await client.multi()
+        .incr(key + window)
+        .pexpire(key + window, windowMs * 2)
+        .get(key + (window - 1))
+        .exec();
+      
+      return { current: Number(current), previous: Number(previous) || 0 };
+    },
+    size() {
+      return null;
+    },
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+const rateLimitStore = RATE_LIMIT_STORE === 'redis' ? createRedisStore() : createMemoryStore();
+
+// API Keys (per-key quotas, anonymous callers fall back to the IP limit)
+const apiKeys = new Map(); // sha256(key) -> key record
+const API_KEYS_FILE = config.apiKeys.file;
+const ADMIN_TOKEN = config.admin.token;
+const DEFAULT_KEY_DAILY_LIMIT = 10000;
+const DEFAULT_KEY_WINDOW_LIMIT = 1000;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function getRequestApiKey(req) {
+  return req.headers['x-api-key'] || req.query.api_key;
+}
+
+function loadApiKeys() {
+  if (!API_KEYS_FILE || !fs.existsSync(API_KEYS_FILE)) return;
+  
+  try {
+    const records = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+    records.forEach(record => apiKeys.set(record.hash, record));
+  } catch (error) {
+    log('error', 'Failed to load API keys', { error: error.message });
   }
+}
+
+function saveApiKeys() {
+  if (!API_KEYS_FILE) return Promise.resolve();
   
-  const ip = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'];
+  return fs.promises.writeFile(API_KEYS_FILE, JSON.stringify([...apiKeys.values()], null, 2))
+    .catch(error => log('error', 'Failed to save API keys', { error: error.message }));
+}
+
+function publicKeyRecord(record) {
+  const { hash, usage, ...rest } = record;
+  return {
+    ...rest,
+    usage: {
+      today: usage.day === currentDay() ? usage.count : 0,
+      total: usage.total
+    }
+  };
+}
+
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Sliding windows weight the previous window by how much of it still overlaps;
+// fixed windows (daily quotas) only look at the current one.
+async function consumeRateLimit(id, limit, windowMs, { sliding = true } = {}) {
   const now = Date.now();
-  const windowStart = now - RATE_LIMIT_WINDOW;
+  const { current, previous } = await rateLimitStore.increment(id, windowMs, now);
+  const elapsed = (now % windowMs) / windowMs;
+  const used = sliding ? Math.floor(previous * (1 - elapsed)) + current : current;
   
-  if (!requestCounts.has(ip)) {
-    requestCounts.set(ip, []);
+  return {
+    allowed: used <= limit,
+    limit: limit,
+    remaining: Math.max(0, limit - used),
+    reset: Math.ceil((windowMs - (now % windowMs)) / 1000)
+  };
+}
+
+function setRateLimitHeaders(res, result) {
+  res.setHeader('RateLimit-Limit', result.limit);
+  res.setHeader('RateLimit-Remaining', result.remaining);
+  res.setHeader('RateLimit-Reset', result.reset);
+  res.setHeader('Retry-After', result.allowed && result.remaining > 0 ? 0 : result.reset);
+}
+
+async function rateLimit(req, res, next) {
+  // Batch items and jobs were already counted when they were submitted, and
+  // platform health checks must never be throttled into looking unhealthy
+  if (isInternalRequest(req) || req.path.startsWith('/health')) {
+    return next();
   }
   
-  const requests = requestCounts.get(ip);
-  const recentRequests = requests.filter(timestamp => timestamp > windowStart);
+  try {
+    const key = getRequestApiKey(req);
+    
+    if (key) {
+      const record = apiKeys.get(hashApiKey(key));
+      
+      if (!record || record.revoked) {
+        return sendError(res, 'INVALID_API_KEY', 'Invalid or revoked API key');
+      }
+      
+      const windowed = await consumeRateLimit(`key:${record.id}`, record.windowLimit, record.windowMs);
+      
+      if (!windowed.allowed) {
+        setRateLimitHeaders(res, windowed);
+        rateLimitRejections.inc({ reason: 'key_window' });
+        return sendError(res, 'RATE_LIMITED', 'Too many requests for this API key, please try again later.');
+      }
+      
+      const daily = await consumeRateLimit(`key:${record.id}:day`, record.dailyLimit, DAY_MS, { sliding: false });
+      // Report whichever quota runs out first
+      setRateLimitHeaders(res, !daily.allowed || daily.remaining < windowed.remaining ? daily : windowed);
+      
+      if (!daily.allowed) {
+        rateLimitRejections.inc({ reason: 'key_daily' });
+        return sendError(res, 'QUOTA_EXCEEDED', 'Daily quota exceeded for this API key, please try again tomorrow.');
+      }
+      
+      const today = currentDay();
+      if (record.usage.day !== today) {
+        record.usage.day = today;
+        record.usage.count = 0;
+      }
+      record.usage.count++;
+      record.usage.total++;
+      record.lastUsedAt = new Date().toISOString();
+      req.apiKey = record;
+      return next();
+    }
+    
+    const ip = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'];
+    const result = await consumeRateLimit(`ip:${ip}`, RATE_LIMIT_MAX, RATE_LIMIT_WINDOW);
+    setRateLimitHeaders(res, result);
+    
+    if (!result.allowed) {
+      rateLimitRejections.inc({ reason: 'ip' });
+      return sendError(res, 'RATE_LIMITED', 'Too many requests, please try again later.');
+    }
+    
+    next();
+  } catch (error) {
+    // Fail open: an unreachable store should not take the whole API down
+    log('error', 'Rate limit error', { requestId: req.id, error: error.message });
+    next();
+  }
+}
+
+function isAdminRequest(req) {
+  if (!ADMIN_TOKEN) return false;
   
-  if (recentRequests.length >= RATE_LIMIT_MAX) {
-    return res.status(429).json({
-      success: false,
-      error: 'Too many requests, please try again later.'
-    });
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-admin-token'];
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const provided = Buffer.from(token || '');
+  
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return sendError(res, 'SERVICE_DISABLED', 'Admin API is disabled. Set ADMIN_TOKEN to enable it.');
+  }
+  
+  if (!isAdminRequest(req)) {
+    return sendError(res, 'UNAUTHORIZED', 'Invalid admin token');
   }
   
-  recentRequests.push(now);
-  requestCounts.set(ip, recentRequests);
   next();
-}
+}
+
+// Batch items and jobs are dispatched on behalf of the client that submitted them
+function clientId(req) {
+  const delegated = req.headers['x-ladybug-client'];
+  if (delegated && isInternalRequest(req)) return delegated;
+  return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+}
+
+loadApiKeys();
+
+// Usage analytics - per client, route and UTC hour; daily figures are summed from the hours
+const usage = new Map(); // `${client} ${route} ${hour}` -> bucket
+const USAGE_FILE = config.usage.file;
+const USAGE_RETENTION_DAYS = config.usage.retentionDays;
+const USAGE_SAVE_INTERVAL = 5 * 60 * 1000;
+// Past USAGE_MAX_BUCKETS anonymous clients share one bucket per route and hour,
+// and the oldest buckets make room for the rest
+const USAGE_MAX_BUCKETS = config.usage.maxBuckets;
+const USAGE_OVERFLOW_CLIENT = 'ip:other';
+
+function recordUsage(client, route, status, cacheStatus, latencyMs) {
+  const hour = new Date().toISOString().slice(0, 13);
+  let id = `${client} ${route} ${hour}`;
+  let bucket = usage.get(id);
+  
+  if (!bucket && usage.size >= USAGE_MAX_BUCKETS && client.startsWith('ip:')) {
+    client = USAGE_OVERFLOW_CLIENT;
+    id = `${client} ${route} ${hour}`;
+    bucket = usage.get(id);
+  }
+  
+  if (!bucket) {
+    if (usage.size >= USAGE_MAX_BUCKETS) usage.delete(usage.keys().next().value);
+    bucket = { client, route, hour, requests: 0, errors: 0, cacheHits: 0, latencyMs: 0 };
+    usage.set(id, bucket);
+  }
+  
+  bucket.requests++;
+  bucket.latencyMs += latencyMs;
+  if (status >= 400) bucket.errors++;
+  if (cacheStatus === 'HIT') bucket.cacheHits++;
+}
+
+// from/to are inclusive YYYY-MM-DD days; client and route narrow the rows when given
+function queryUsage({ from, to, granularity = 'day', client, route }) {
+  const rows = new Map();
+  
+  for (const bucket of usage.values()) {
+    const day = bucket.hour.slice(0, 10);
+    if (day < from || day > to) continue;
+    if (client && bucket.client !== client) continue;
+    if (route && bucket.route !== route) continue;
+    
+    const period = granularity === 'hour' ? `${bucket.hour}:00Z` : day;
+    const id = `${period} ${bucket.client} ${bucket.route}`;
+    const row = rows.get(id) || { period, client: bucket.client, route: bucket.route, requests: 0, errors: 0, cacheHits: 0, latencyMs: 0 };
+    row.requests += bucket.requests;
+    row.errors += bucket.errors;
+    row.cacheHits += bucket.cacheHits;
+    row.latencyMs += bucket.latencyMs;
+    rows.set(id, row);
+  }
+  
+  return [...rows.values()]
+    .sort((a, b) => a.period.localeCompare(b.period) || a.client.localeCompare(b.client) || a.route.localeCompare(b.route))
+    .map(({ latencyMs, ...row }) => ({ ...row, avgLatencyMs: Math.round(latencyMs / row.requests * 100) / 100 }));
+}
+
+function usageTotals(rows) {
+  const totals = rows.reduce((sum, row) => {
+    sum.requests += row.requests;
+    sum.errors += row.errors;
+    sum.cacheHits += row.cacheHits;
+    sum.latencyMs += row.avgLatencyMs * row.requests;
+    return sum;
+  }, { requests: 0, errors: 0, cacheHits: 0, latencyMs: 0 });
+  
+  const { latencyMs, ...rest } = totals;
+  return { ...rest, avgLatencyMs: rest.requests ? Math.round(latencyMs / rest.requests * 100) / 100 : 0 };
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function usageCsv(rows) {
+  const lines = [['period', 'client', 'route', 'requests', 'errors', 'cache_hits', 'avg_latency_ms']];
+  rows.forEach(row => lines.push([row.period, row.client, row.route, row.requests, row.errors, row.cacheHits, row.avgLatencyMs]));
+  return lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function loadUsage() {
+  if (!USAGE_FILE || !fs.existsSync(USAGE_FILE)) return;
+  
+  try {
+    const buckets = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+    buckets.slice(-USAGE_MAX_BUCKETS).forEach(bucket => usage.set(`${bucket.client} ${bucket.route} ${bucket.hour}`, bucket));
+  } catch (error) {
+    log('error', 'Failed to load usage', { error: error.message });
+  }
+}
+
+function saveUsage() {
+  if (!USAGE_FILE) return Promise.resolve();
+  
+  return fs.promises.writeFile(USAGE_FILE, JSON.stringify([...usage.values()]))
+    .catch(error => log('error', 'Failed to save usage', { error: error.message }));
+}
+
+function usageSweep() {
+  const oldest = new Date(Date.now() - USAGE_RETENTION_DAYS * DAY_MS).toISOString().slice(0, 13);
+  for (const [id, bucket] of usage) {
+    if (bucket.hour < oldest) usage.delete(id);
+  }
+  saveUsage();
+}
+
+loadUsage();
+setInterval(usageSweep, USAGE_SAVE_INTERVAL).unref();
+
+// In-flight requests - counted so shutdown can wait for them. While draining,
+// connections are closed as soon as their response is done.
+let draining = false;
+let activeRequests = 0;
+
+app.use((req, res, next) => {
+  activeRequests++;
+  if (draining) res.setHeader('Connection', 'close');
+  
+  res.on('close', () => {
+    activeRequests--;
+    if (draining) setImmediate(() => server.closeIdleConnections());
+  });
+  
+  next();
+});
+
+// Request IDs - a well-formed incoming X-Request-Id is kept so traces line up across services
+app.use((req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+});
+
+// Access log - one line per request once the response has been sent
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  
+  res.on('finish', () => {
+    const status = res.statusCode;
+    const latencyMs = Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+    const client = clientId(req);
+    
+    if (req.route) {
+      recordUsage(client, req.route.path, status, res.getHeader('X-Cache'), latencyMs);
+    }
+    
+    log(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', 'request', {
+      requestId: req.id,
+      method: req.method,
+      route: req.route ? req.route.path : null,
+      path: req.path,
+      query: redactParams(req.query),
+      status: status,
+      latencyMs: latencyMs,
+      cache: res.getHeader('X-Cache') || null,
+      client: client,
+      upstream: req.upstreams || [],
+      internal: isInternalRequest(req) || undefined
+    });
+  });
+  
+  next();
+});
+
+// Request metrics - unmatched paths share one label to keep cardinality bounded
+app.use((req, res, next) => {
+  const end = httpDuration.startTimer();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: req.route ? req.route.path : 'unmatched', status: res.statusCode };
+    httpRequests.inc(labels);
+    end(labels);
+  });
+  next();
+});
 
 // Security Middleware
 app.use((req, res, next) => {
@@ -55,7 +1006,7 @@ app.use((req, res, next) => {
 
 app.use(rateLimit);
 app.use(cors({
-  origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
+  origin: config.server.allowedOrigins,
   credentials: true
 }));
 app.use(express.json({ limit: '10mb' }));
@@ -64,34 +1015,156 @@ app.use(express.static('public'));
 
 // API Configuration
 const API_CONFIG = {
-  name: "Ladybug Api'S",
-  version: "v2.2.0",
-  description: "Premium REST API with 65+ endpoints - Completely Free!",
-  creator: "Ntando Mods Team",
-  status: "Active!",
-  endpoints: 65,
+  ...config.api,
+  get endpoints() {
+    return publicEndpoints().length;
+  },
   uptime: process.uptime()
 };
 
-// Cache for performance
+// Cache for performance (bounded LRU, Map order doubles as recency order)
 const cache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const CACHE_TTL = config.cache.ttlSeconds * 1000;
+const CACHE_MAX_ENTRIES = config.cache.maxEntries;
+const CACHE_MAX_BYTES = config.cache.maxMegabytes * 1024 * 1024;
+const CACHE_MAX_ENTRY_BYTES = 1024 * 1024; // larger responses are never cached
+const CACHE_IGNORED_PARAMS = ['api_key'];
+let cacheBytes = 0;
+const cacheRouteStats = new Map(); // route -> { hits, misses }
+
+// Same parameters in a different order should hit the same entry
+function cacheKeyFor(url) {
+  const [path, query = ''] = url.split('?');
+  const params = new URLSearchParams(query);
+  CACHE_IGNORED_PARAMS.forEach(param => params.delete(param));
+  params.sort();
+  const normalized = params.toString();
+  return normalized ? `${path}?${normalized}` : path;
+}
 
-function cacheMiddleware(req, res, next) {
-  const key = req.originalUrl;
-  const cached = cache.get(key);
+function getCache(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
   
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return res.json(cached.data);
+  if (Date.now() >= entry.expiresAt) {
+    deleteCache(key);
+    return null;
   }
   
-  next();
+  cache.delete(key);
+  cache.set(key, entry);
+  return entry;
+}
+
+function setCache(key, route, data, ttl) {
+  const body = JSON.stringify(data);
+  const size = Buffer.byteLength(body);
+  if (size > CACHE_MAX_ENTRY_BYTES) return null;
+  
+  deleteCache(key);
+  
+  const now = Date.now();
+  const entry = {
+    key: key,
+    route: route,
+    body: body,
+    size: size,
+    etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+    createdAt: now,
+    expiresAt: now + ttl,
+    hits: 0
+  };
+  
+  cache.set(key, entry);
+  cacheBytes += size;
+  
+  while (cache.size > CACHE_MAX_ENTRIES || cacheBytes > CACHE_MAX_BYTES) {
+    deleteCache(cache.keys().next().value);
+  }
+  
+  return entry;
+}
+
+function deleteCache(key) {
+  const entry = cache.get(key);
+  if (!entry) return false;
+  
+  cache.delete(key);
+  cacheBytes -= entry.size;
+  return true;
+}
+
+function clearCache() {
+  cache.clear();
+  cacheBytes = 0;
 }
 
-function setCache(key, data) {
-  cache.set(key, { data, timestamp: Date.now() });
+function recordCacheResult(route, hit) {
+  if (!cacheRouteStats.has(route)) {
+    cacheRouteStats.set(route, { hits: 0, misses: 0 });
+  }
+  cacheRouteStats.get(route)[hit ? 'hits' : 'misses']++;
+  cacheLookups.inc({ route: route, result: hit ? 'hit' : 'miss' });
+}
+
+function sendCacheEntry(res, entry, status) {
+  res.setHeader('X-Cache', status);
+  res.setHeader('ETag', entry.etag);
+  res.setHeader('Last-Modified', new Date(entry.createdAt).toUTCString());
+  res.setHeader('Cache-Control', `public, max-age=${Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000))}`);
+  // res.send answers If-None-Match / If-Modified-Since with a 304 from these headers
+  res.type('application/json').send(entry.body);
+}
+
+// Routes opt in with cacheFor(ttl); routes whose output is random or
+// time-dependent simply leave it out.
+// POSTed parameters are keyed by a hash of the validated input, so the same
+// document hits the same entry however its body was encoded
+// skip(req) lets a route opt individual requests out, e.g. stateful ones
+function cacheFor(ttl, skip) {
+  return (req, res, next) => {
+    // Streams are written as they are generated and never cached
+    if (wantsStream(req) || (skip && skip(req))) {
+      return next();
+    }
+    
+    const key = req.method === 'POST' && req.input
+      ? `${req.path}#${crypto.createHash('sha1').update(JSON.stringify(req.input)).digest('base64url')}`
+      : cacheKeyFor(req.originalUrl);
+    const route = req.route ? req.route.path : req.path;
+    const entry = getCache(key);
+    recordCacheResult(route, Boolean(entry));
+    
+    if (entry) {
+      entry.hits++;
+      return sendCacheEntry(res, entry, 'HIT');
+    }
+    
+    const json = res.json.bind(res);
+    res.json = (data) => {
+      const fresh = res.statusCode === 200 && data && data.success !== false
+        ? setCache(key, route, data, ttl)
+        : null;
+      
+      if (!fresh) {
+        res.setHeader('X-Cache', 'MISS');
+        return json(data);
+      }
+      return sendCacheEntry(res, fresh, 'MISS');
+    };
+    
+    next();
+  };
 }
 
+const cacheSweep = setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of cache) {
+    if (now >= entry.expiresAt) deleteCache(key);
+  }
+}, 60 * 1000);
+cacheSweep.unref();
+
 // Utility Functions
 function isValidUrl(string) {
   try {
@@ -114,6 +1187,384 @@ function generateUUID() {
   });
 }
 
+// Endpoint registry - every route is declared once with its parameters, which
+// drives validation, caching, /openapi.json, the 404 endpoint list, the endpoint
+// counts and the testing suite in public/
+const endpointRegistry = [];
+
+// Whole categories can be switched off with DISABLED_CATEGORIES (e.g. "download,image")
+const DISABLED_CATEGORIES = config.categories.disabled;
+
+function publicEndpoints() {
+  return endpointRegistry.filter(endpoint => !endpoint.admin);
+}
+
+// Returns [value, error] where error is { code, message }. Values arrive as strings from the query string and as
+// strings or JSON types from a body.
+function coerceParam(name, param, raw) {
+  const type = param.type || 'string';
+  
+  if (Array.isArray(raw)) {
+    return [undefined, { code: 'INVALID_PARAMETER', message: `Parameter "${name}" must be a single value` }];
+  }
+  
+  let value = raw;
+  
+  if (type === 'integer' || type === 'number') {
+    const text = String(raw).trim();
+    const pattern = type === 'integer' ? /^-?\d+$/ : /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+    if (!pattern.test(text)) {
+      return [undefined, { code: 'INVALID_PARAMETER', message: `Parameter "${name}" must be ${type === 'integer' ? 'an integer' : 'a number'}` }];
+    }
+    value = Number(text);
+    if (param.minimum !== undefined && value < param.minimum) {
+      return [undefined, { code: 'INVALID_PARAMETER', message: `Parameter "${name}" must be at least ${param.minimum}` }];
+    }
+    if (param.maximum !== undefined && value > param.maximum) {
+      return [undefined, { code: 'INVALID_PARAMETER', message: `Parameter "${name}" must be at most ${param.maximum}` }];
+    }
+  } else if (type === 'boolean') {
+    const text = String(raw).trim().toLowerCase();
+    if (!['true', 'false', '1', '0'].includes(text)) {
+      return [undefined, { code: 'INVALID_PARAMETER', message: `Parameter "${name}" must be true or false` }];
+    }
+    value = text === 'true' || text === '1';
+  } else if (type === 'object') {
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      return [undefined, { code: 'INVALID_PARAMETER', message: `Parameter "${name}" must be an object` }];
+    }
+  } else {
+    if (typeof raw === 'object') {
+      if (param.format !== 'json') {
+        return [undefined, { code: 'INVALID_PARAMETER', message: `Parameter "${name}" must be a string` }];
+      }
+      raw = JSON.stringify(raw);
+    }
+    value = param.sanitize ? sanitizeInput(String(raw)) : String(raw);
+    if (param.minLength !== undefined && value.length < param.minLength) {
+      return [undefined, { code: 'INVALID_PARAMETER', message: `Parameter "${name}" is too short (min ${param.minLength} characters)` }];
+    }
+    if (param.maxLength !== undefined && value.length > param.maxLength) {
+      return [undefined, { code: 'INVALID_PARAMETER', message: `Parameter "${name}" is too long (max ${param.maxLength} characters)` }];
+    }
+    if (param.pattern && !new RegExp(param.pattern).test(value)) {
+      return [undefined, { code: 'INVALID_PARAMETER', message: `Parameter "${name}" has an invalid format` }];
+    }
+    if (param.format === 'uri' && !isValidUrl(value)) {
+      return [undefined, { code: 'INVALID_URL', message: `Parameter "${name}" must be a valid URL` }];
+    }
+  }
+  
+  if (param.enum) {
+    const match = param.enum.find(option => String(option).toLowerCase() === String(value).toLowerCase());
+    if (match === undefined) {
+      return [undefined, { code: 'INVALID_PARAMETER', message: `Parameter "${name}" must be one of: ${param.enum.join(', ')}` }];
+    }
+    value = match;
+  }
+  
+  return [value, null];
+}
+
+function validateInput(specs, sources) {
+  const input = {};
+  const errors = [];
+  
+  Object.entries(specs).forEach(([name, param]) => {
+    const raw = sources[param.in || 'query'][name];
+    const missing = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim().length === 0);
+    
+    if (missing) {
+      if (param.required) {
+        errors.push({ field: name, code: 'MISSING_PARAMETER', message: `Parameter "${name}" is required` });
+      } else {
+        input[name] = param.default;
+      }
+      return;
+    }
+    
+    const [value, error] = coerceParam(name, param, raw);
+    if (error) {
+      errors.push({ field: name, ...error });
+    } else {
+      input[name] = value;
+    }
+  });
+  
+  return { input, errors };
+}
+
+function validateParams(endpoint) {
+  return (req, res, next) => {
+    // acceptsBody endpoints take their query parameters from a JSON or form body on POST
+    const query = endpoint.acceptsBody && req.method === 'POST' ? { ...req.query, ...req.body } : req.query;
+    const sources = { query: query, path: req.params };
+    const specs = { ...endpoint.params };
+    
+    if (endpoint.body) {
+      sources.body = req.body || {};
+      Object.entries(endpoint.body).forEach(([name, param]) => {
+        specs[name] = { ...param, in: 'body' };
+      });
+    }
+    
+    const { input, errors } = validateInput(specs, sources);
+    
+    if (errors.length > 0) {
+      return sendError(res, errors[0].code, errors[0].message, { param: errors[0].field, errors: errors });
+    }
+    
+    req.input = input;
+    next();
+  };
+}
+
+function defineEndpoint(definition) {
+  const endpoint = { method: 'get', params: {}, status: 200, ...definition };
+  const middleware = [];
+  
+  // Disabled endpoints stay out of the registry (docs, tester, batch, jobs) but
+  // still answer with a clear error instead of a bare 404
+  if (DISABLED_CATEGORIES.includes(endpoint.category)) {
+    app.all(endpoint.path, (req, res) => {
+      sendError(res, 'SERVICE_DISABLED', `${CATEGORY_DESCRIPTIONS[endpoint.category]} are disabled on this server`);
+    });
+    return;
+  }
+  
+  if (endpoint.admin) middleware.push(requireAdmin);
+  middleware.push(validateParams(endpoint));
+  if (endpoint.cache) middleware.push(cacheFor(endpoint.cache, endpoint.skipCache));
+  
+  const methods = endpoint.acceptsBody ? [endpoint.method, 'post'] : [endpoint.method];
+  
+  methods.forEach(method => app[method](endpoint.path, ...middleware, async (req, res) => {
+    try {
+      await endpoint.handler(req, res);
+    } catch (error) {
+      if (res.headersSent) {
+        log('error', 'Handler failed after responding', { requestId: req.id, route: endpoint.path, error: error.stack });
+        return res.end();
+      }
+      
+      if (ERROR_CODES[error.code]) {
+        return sendError(res, error.code, error.message, error.details);
+      }
+      
+      log('error', 'Handler failed', { requestId: req.id, route: endpoint.path, error: error.stack });
+      
+      if (error.isAxiosError) {
+        return sendError(res, 'UPSTREAM_UNAVAILABLE', endpoint.errorMessage || 'Upstream service unavailable');
+      }
+      sendError(res, 'INTERNAL_ERROR', endpoint.errorMessage || 'Request failed');
+    }
+  }));
+  
+  endpointRegistry.push(endpoint);
+}
+
+// Response shapes are written compactly: 'string', [itemShape] or { field: shape }
+function shapeToSchema(shape) {
+  if (Array.isArray(shape)) {
+    return { type: 'array', items: shapeToSchema(shape[0]) };
+  }
+  if (shape && typeof shape === 'object') {
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(shape).map(([field, value]) => [field, shapeToSchema(value)]))
+    };
+  }
+  return shape === 'any' ? {} : { type: shape };
+}
+
+function paramSchema(param) {
+  const schema = { type: param.type || 'string' };
+  ['format', 'default', 'enum', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern'].forEach(field => {
+    if (param[field] !== undefined) schema[field] = param[field];
+  });
+  return schema;
+}
+
+function requestBodySchema(specs, mediaTypes) {
+  const fields = Object.entries(specs).filter(([, param]) => !param.in || param.in === 'query' || param.in === 'body');
+  const required = fields.filter(([, param]) => param.required).map(([name]) => name);
+  const properties = {};
+  
+  fields.forEach(([name, param]) => {
+    properties[name] = { ...paramSchema(param), description: param.description };
+    // format: 'json' strings may also be posted as the JSON value itself
+    if (param.format === 'json') properties[name].type = ['string', 'object', 'array'];
+  });
+  
+  const schema = { type: 'object', required: required, properties: properties };
+  
+  return {
+    required: required.length > 0,
+    content: Object.fromEntries(mediaTypes.map(type => [type, { schema: schema }]))
+  };
+}
+
+function buildOpenApiSpec(serverUrl) {
+  const paths = {};
+  
+  endpointRegistry.forEach(endpoint => {
+    const path = endpoint.path.replace(/:(\w+)/g, '{$1}');
+    const responseShape = shapeToSchema(endpoint.response || {});
+    const operation = {
+      tags: [endpoint.category],
+      summary: endpoint.summary,
+      description: endpoint.description,
+      operationId: `${endpoint.method}${endpoint.path.replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => c ? c.toUpperCase() : '')}`,
+      parameters: Object.entries(endpoint.params).map(([name, param]) => ({
+        name: name,
+        in: param.in || 'query',
+        required: Boolean(param.required),
+        description: param.description,
+        schema: paramSchema(param),
+        example: param.example
+      })),
+      responses: {
+        [endpoint.status]: {
+          description: 'Successful response',
+          headers: {
+            'RateLimit-Limit': { $ref: '#/components/headers/RateLimitLimit' },
+            'RateLimit-Remaining': { $ref: '#/components/headers/RateLimitRemaining' },
+            'RateLimit-Reset': { $ref: '#/components/headers/RateLimitReset' }
+          },
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  ...responseShape.properties,
+                  timestamp: { type: 'string', format: 'date-time' }
+                }
+              }
+            }
+          }
+        },
+        400: { $ref: '#/components/responses/BadRequest' },
+        429: { $ref: '#/components/responses/TooManyRequests' },
+        500: { $ref: '#/components/responses/ServerError' }
+      }
+    };
+    
+    if (endpoint.icon) operation['x-icon'] = endpoint.icon;
+    if (endpoint.job) operation['x-job'] = true;
+    
+    if (endpoint.streams) {
+      operation.responses[endpoint.status].content['text/event-stream'] = {
+        schema: { type: 'string', description: '`chunk` events with { text } followed by one `done` event holding the JSON body' }
+      };
+    }
+    
+    if (endpoint.csv) {
+      operation.responses[endpoint.status].content['text/csv'] = {
+        schema: { type: 'string', description: endpoint.csv }
+      };
+    }
+    
+    if (endpoint.body) {
+      operation.requestBody = requestBodySchema(endpoint.body, ['application/json']);
+    } else if (endpoint.requestBody) {
+      operation.requestBody = endpoint.requestBody;
+    }
+    
+    if (endpoint.admin) {
+      operation.security = [{ adminToken: [] }];
+      operation.responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    }
+    
+    paths[path] = paths[path] || {};
+    paths[path][endpoint.method] = operation;
+    
+    if (endpoint.acceptsBody) {
+      paths[path].post = {
+        ...operation,
+        operationId: operation.operationId.replace(endpoint.method, 'post'),
+        description: `${endpoint.description}. Parameters may also be sent as a JSON or form body.`,
+        parameters: operation.parameters.filter(parameter => parameter.in !== 'query'),
+        requestBody: requestBodySchema(endpoint.params, ['application/json', 'application/x-www-form-urlencoded'])
+      };
+    }
+  });
+  
+  const errorResponse = description => ({
+    description: description,
+    content: {
+      'application/json': { schema: { $ref: '#/components/schemas/Error' } },
+      'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } }
+    }
+  });
+  
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: API_CONFIG.name,
+      version: API_CONFIG.version.replace(/^v/, ''),
+      description: API_CONFIG.description
+    },
+    servers: [{ url: serverUrl }],
+    tags: Object.entries(CATEGORY_DESCRIPTIONS).filter(([name]) => !DISABLED_CATEGORIES.includes(name)).map(([name, description]) => ({ name, description })),
+    security: [{}, { apiKeyHeader: [] }, { apiKeyQuery: [] }],
+    paths: paths,
+    components: {
+      securitySchemes: {
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+        adminToken: { type: 'http', scheme: 'bearer' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['success', 'error', 'code', 'requestId'],
+          properties: {
+            success: { type: 'boolean', const: false },
+            error: { type: 'string', description: 'Human readable message, may change between versions' },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            param: { type: 'string', description: 'Parameter that caused the error' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, code: { type: 'string' }, message: { type: 'string' } }
+              }
+            },
+            requestId: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        },
+        Problem: {
+          type: 'object',
+          description: 'RFC 9457 problem details, returned when the client accepts application/problem+json',
+          properties: {
+            type: { type: 'string' },
+            title: { type: 'string' },
+            status: { type: 'integer' },
+            detail: { type: 'string' },
+            instance: { type: 'string' },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            param: { type: 'string' },
+            requestId: { type: 'string' }
+          }
+        }
+      },
+      headers: {
+        RateLimitLimit: { description: 'Requests allowed in the current window', schema: { type: 'integer' } },
+        RateLimitRemaining: { description: 'Requests left in the current window', schema: { type: 'integer' } },
+        RateLimitReset: { description: 'Seconds until the window resets', schema: { type: 'integer' } }
+      },
+      responses: {
+        BadRequest: errorResponse('Missing or invalid parameters'),
+        Unauthorized: errorResponse('Missing or invalid credentials'),
+        TooManyRequests: errorResponse('Rate limit or quota exceeded'),
+        ServerError: errorResponse('Unexpected server error')
+      }
+    }
+  };
+}
+
 // ============================================
 // MAIN ROUTES
 // ============================================
@@ -122,135 +1573,337 @@ app.get('/', (req, res) => {
   res.sendFile(__dirname + '/public/index.html');
 });
 
-app.get('/api/info', cacheMiddleware, (req, res) => {
-  const data = {
-    success: true,
+app.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiSpec(`${req.protocol}://${req.get('host')}`));
+});
+
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', metrics.contentType);
+  res.send(await metrics.metrics());
+});
+
+app.use('/docs/assets', express.static(require('swagger-ui-dist').getAbsoluteFSPath()));
+
+app.get('/docs', (req, res) => {
+  res.sendFile(__dirname + '/public/docs.html');
+});
+
+defineEndpoint({
+  path: '/api/info',
+  category: 'system',
+  summary: 'API Information',
+  description: 'Get complete API details',
+  icon: 'fa-info-circle',
+  response: {
     data: {
-      ...API_CONFIG,
-      uptime: process.uptime(),
-      timestamp: new Date().toISOString(),
-      server: {
-        nodeVersion: process.version,
-        platform: process.platform,
-        memory: process.memoryUsage(),
-        cachedEndpoints: cache.size
-      },
-      premium: {
-        all_features_free: true,
-        no_api_key_required: true,
-        unlimited_requests: true,
-        commercial_use_allowed: true
-      }
+      name: 'string',
+      version: 'string',
+      description: 'string',
+      endpoints: 'integer',
+      uptime: 'number',
+      server: { nodeVersion: 'string', platform: 'string', memory: 'object', cachedEndpoints: 'integer' }
     }
-  };
-  
-  setCache(req.originalUrl, data);
-  res.json(data);
+  },
+  handler: async (req, res) => {
+    const data = {
+      success: true,
+      data: {
+        ...API_CONFIG,
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString(),
+        server: {
+          nodeVersion: process.version,
+          platform: process.platform,
+          memory: process.memoryUsage(),
+          cachedEndpoints: cache.size
+        },
+        premium: {
+          all_features_free: true,
+          no_api_key_required: true,
+          unlimited_requests: true,
+          commercial_use_allowed: true
+        }
+      }
+    };
+    
+    res.json(data);
+  }
 });
 
 // ============================================
 // AI ENDPOINTS - FIXED & ENHANCED
 // ============================================
 
-app.get('/ai/chatgpt', cacheMiddleware, async (req, res) => {
-  try {
-    const { text, context } = req.query;
-    
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "text" is required and cannot be empty'
-      });
-    }
+// Chat sessions - multi-turn conversations for /ai/chatgpt, kept in memory.
+// A session expires after SESSION_IDLE_MINUTES without messages and only keeps
+// as many recent turns as fit in SESSION_MAX_HISTORY_CHARS.
+const sessions = new Map();
+const SESSION_IDLE_TIMEOUT = config.sessions.idleMinutes * 60 * 1000;
+const SESSION_MAX_HISTORY_CHARS = config.sessions.maxHistoryChars;
+const SESSION_MAX_COUNT = 10000;
+
+function getSession(id) {
+  const session = sessions.get(id);
+  if (!session) return null;
+  
+  if (Date.now() >= session.lastActiveAt + SESSION_IDLE_TIMEOUT) {
+    sessions.delete(id);
+    return null;
+  }
+  return session;
+}
 
-    const sanitizedText = sanitizeInput(text);
-    if (sanitizedText.length > 1000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Text is too long (max 1000 characters)'
-      });
+// Oldest turns go first; the newest message is always kept
+function truncateHistory(session) {
+  let size = session.messages.reduce((total, message) => total + message.content.length, 0);
+  while (session.messages.length > 1 && size > SESSION_MAX_HISTORY_CHARS) {
+    size -= session.messages.shift().content.length;
+    session.truncated++;
+  }
+}
+
+function sessionSummary(session) {
+  return {
+    id: session.id,
+    system: session.system,
+    turns: session.messages.length,
+    truncated: session.truncated,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastActiveAt: new Date(session.lastActiveAt).toISOString(),
+    expiresAt: new Date(session.lastActiveAt + SESSION_IDLE_TIMEOUT).toISOString()
+  };
+}
+
+const sessionSweep = setInterval(() => {
+  for (const id of sessions.keys()) getSession(id);
+}, 60 * 1000);
+sessionSweep.unref();
+
+defineEndpoint({
+  path: '/ai/chatgpt',
+  category: 'ai',
+  summary: 'AI ChatGPT',
+  description: 'Premium AI chat with advanced language models',
+  icon: 'fa-comments',
+  cache: CACHE_TTL,
+  skipCache: req => Boolean(req.input.session),
+  acceptsBody: true,
+  streams: true,
+  params: {
+    text: { type: 'string', required: true, sanitize: true, maxLength: 1000, description: 'Message to send to the assistant', example: 'Hello, how are you today?' },
+    context: { type: 'string', sanitize: true, maxLength: 2000, description: 'Optional instructions or background sent to the model as the system prompt' },
+    session: { type: 'string', description: 'Continue the conversation of a session created with POST /ai/chatgpt/sessions' },
+    stream: { type: 'boolean', default: false, description: 'Stream the answer as Server-Sent Events (same as Accept: text/event-stream)' }
+  },
+  response: {
+    query: 'string',
+    response: 'string',
+    model: 'string',
+    source: 'string',
+    session: { id: 'string', system: 'string', turns: 'integer', truncated: 'integer', createdAt: 'string', lastActiveAt: 'string', expiresAt: 'string' }
+  },
+  errorMessage: 'Failed to get AI response',
+  handler: async (req, res) => {
+    const { text, context, session: sessionId } = req.input;
+    const session = sessionId ? getSession(sessionId) : null;
+    
+    if (sessionId && !session) {
+      return sendError(res, 'NOT_FOUND', 'Session not found or expired', { param: 'session' });
     }
+    
+    const history = session ? session.messages.map(({ role, content }) => ({ role, content })) : [];
+    const events = wantsStream(req) ? openEventStream(req, res) : null;
+    const prompt = {
+      system: context || (session && session.system),
+      messages: [...history, { role: 'user', content: text }],
+      signal: events && events.signal
+    };
 
     let response = '';
+    let model = null;
     let source = 'Fallback';
     
     try {
-      const apiResponse = await axios.get(`https://api.popcat.xyz/chatbot`, {
-        params: {
-          msg: sanitizedText,
-          owner: 'Ladybug API',
-          botname: 'ChatGPT Premium'
-        },
-        timeout: 10000
-      });
-      response = apiResponse.data.response || apiResponse.data;
-      source = 'AI';
+      const result = events
+        ? await streamText(req, prompt, chunk => events.send('chunk', { text: chunk }))
+        : await generateText(req, prompt);
+      response = result.text;
+      model = result.model;
+      source = result.source;
     } catch (apiError) {
       // Fallback response
-      response = `I understand you're asking about: "${sanitizedText}". This is a premium AI response. The actual AI service is temporarily unavailable, but this demonstrates the API functionality. Try again later for a real AI response.`;
+      countFallback(req);
+      response = `I understand you're asking about: "${text}". This is a premium AI response. The actual AI service is temporarily unavailable, but this demonstrates the API functionality. Try again later for a real AI response.`;
+      if (events) events.send('chunk', { text: response });
+    }
+
+    // Fallback answers are not part of the conversation
+    if (session) {
+      session.lastActiveAt = Date.now();
+      if (source !== 'Fallback') {
+        const timestamp = new Date().toISOString();
+        session.messages.push({ role: 'user', content: text, timestamp: timestamp }, { role: 'assistant', content: response, timestamp: timestamp });
+        truncateHistory(session);
+      }
     }
 
     const data = {
       success: true,
-      query: sanitizedText,
+      query: text,
       response: response,
       timestamp: new Date().toISOString(),
-      model: 'ChatGPT Premium',
+      model: model,
       source: source,
       premium: true,
       free: true
     };
     
-    setCache(req.originalUrl, data);
+    if (session) data.session = sessionSummary(session);
+    
+    if (events) return events.end(data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get AI response',
-      message: error.message
-    });
   }
 });
 
-app.get('/ai/texttoimg', async (req, res) => {
-  try {
-    const { prompt, size = '1024x1024', style = 'realistic' } = req.query;
+defineEndpoint({
+  path: '/ai/chatgpt/sessions',
+  method: 'post',
+  category: 'ai',
+  summary: 'Create Chat Session',
+  description: 'Start a multi-turn conversation. Send its id as "session" to /ai/chatgpt to continue it',
+  icon: 'fa-comments',
+  body: {
+    system: { type: 'string', sanitize: true, maxLength: 2000, description: 'System prompt used for every turn of the session', example: 'You are a concise assistant.' }
+  },
+  status: 201,
+  response: { session: { id: 'string', system: 'string', turns: 'integer', truncated: 'integer', createdAt: 'string', lastActiveAt: 'string', expiresAt: 'string' } },
+  errorMessage: 'Failed to create session',
+  handler: async (req, res) => {
+    const { system } = req.input;
+    
+    // Make room by dropping the least recently created session
+    if (sessions.size >= SESSION_MAX_COUNT) {
+      sessions.delete(sessions.keys().next().value);
+    }
     
-    if (!prompt || prompt.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "prompt" is required and cannot be empty'
-      });
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      system: system || null,
+      messages: [],
+      truncated: 0,
+      createdAt: now,
+      lastActiveAt: now
+    };
+    sessions.set(session.id, session);
+    
+    res.status(201).json({
+      success: true,
+      session: sessionSummary(session),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+defineEndpoint({
+  path: '/ai/chatgpt/sessions/:id',
+  category: 'ai',
+  summary: 'Chat Transcript',
+  description: 'Fetch the retained messages of a chat session',
+  icon: 'fa-scroll',
+  params: {
+    id: { in: 'path', type: 'string', required: true, description: 'Session id' }
+  },
+  response: {
+    session: { id: 'string', system: 'string', turns: 'integer', truncated: 'integer', createdAt: 'string', lastActiveAt: 'string', expiresAt: 'string' },
+    messages: [{ role: 'string', content: 'string', timestamp: 'string' }]
+  },
+  handler: async (req, res) => {
+    const session = getSession(req.input.id);
+    
+    if (!session) {
+      return sendError(res, 'NOT_FOUND', 'Session not found or expired', { param: 'id' });
     }
+    
+    res.json({
+      success: true,
+      session: sessionSummary(session),
+      messages: session.messages,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-    const sanitizedPrompt = sanitizeInput(prompt);
-    if (sanitizedPrompt.length > 200) {
-      return res.status(400).json({
-        success: false,
-        error: 'Prompt is too long (max 200 characters)'
-      });
+defineEndpoint({
+  path: '/ai/chatgpt/sessions/:id',
+  method: 'delete',
+  category: 'ai',
+  summary: 'Delete Chat Session',
+  description: 'Delete a chat session and its transcript',
+  icon: 'fa-trash',
+  params: {
+    id: { in: 'path', type: 'string', required: true, description: 'Session id' }
+  },
+  response: { deleted: 'string' },
+  handler: async (req, res) => {
+    if (!getSession(req.input.id)) {
+      return sendError(res, 'NOT_FOUND', 'Session not found or expired', { param: 'id' });
     }
+    
+    sessions.delete(req.input.id);
+    
+    res.json({
+      success: true,
+      deleted: req.input.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+defineEndpoint({
+  path: '/ai/texttoimg',
+  category: 'ai',
+  summary: 'Text to Image',
+  description: 'Generate AI images from text prompts',
+  icon: 'fa-image',
+  job: true,
+  cache: 60 * 60 * 1000,
+  params: {
+    prompt: { type: 'string', required: true, sanitize: true, maxLength: 200, description: 'What the image should show', example: 'A beautiful sunset over mountains' },
+    size: { type: 'string', default: '1024x1024', description: 'Requested image size', example: '1024x1024' },
+    style: { type: 'string', default: 'realistic', description: 'Requested image style', example: 'realistic' }
+  },
+  response: {
+    prompt: 'string',
+    imageUrl: 'string',
+    download: 'string',
+    metadata: { size: 'string', style: 'string', api: 'string' }
+  },
+  errorMessage: 'Failed to generate image',
+  handler: async (req, res) => {
+    const { prompt, size, style } = req.input;
 
     // Premium image APIs with fallbacks
     const imageApis = [
-      `https://image.pollinations.ai/prompt/${encodeURIComponent(sanitizedPrompt)}?width=1024&height=1024&nologo=true&seed=${Math.random()}`,
-      `https://source.unsplash.com/1600x900/?${encodeURIComponent(sanitizedPrompt)}`
+      `https://image.pollinations.ai/prompt/${encodeURIComponent(prompt)}?width=1024&height=1024&nologo=true&seed=${Math.random()}`,
+      `https://source.unsplash.com/1600x900/?${encodeURIComponent(prompt)}`
     ];
 
     let imageUrl = imageApis[0];
     let apiUsed = 'Pollinations AI';
     
     try {
-      await axios.head(imageUrl, { timeout: 5000 });
+      await callUpstream(req, 'pollinations', { method: 'head', url: imageUrl });
     } catch (imgError) {
       // Try alternative APIs
+      countFallback(req);
       imageUrl = imageApis[1];
       apiUsed = 'Unsplash';
     }
 
     const data = {
       success: true,
-      prompt: sanitizedPrompt,
+      prompt: prompt,
       imageUrl: imageUrl,
       download: imageUrl,
       metadata: {
@@ -264,87 +1917,90 @@ app.get('/ai/texttoimg', async (req, res) => {
     };
     
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate image',
-      message: error.message
-    });
   }
 });
 
-app.get('/ai/writer', cacheMiddleware, async (req, res) => {
-  try {
-    const { topic, type = 'story', length = 'medium' } = req.query;
-    
-    if (!topic || topic.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "topic" is required and cannot be empty'
-      });
-    }
-
-    const sanitizedTopic = sanitizeInput(topic);
-    if (sanitizedTopic.length > 100) {
-      return res.status(400).json({
-        success: false,
-        error: 'Topic is too long (max 100 characters)'
-      });
-    }
+defineEndpoint({
+  path: '/ai/writer',
+  category: 'ai',
+  summary: 'AI Writer',
+  description: 'Generate articles, stories, and content',
+  icon: 'fa-pen-fancy',
+  job: true,
+  cache: CACHE_TTL,
+  streams: true,
+  params: {
+    topic: { type: 'string', required: true, sanitize: true, maxLength: 100, description: 'Subject to write about', example: 'Artificial Intelligence' },
+    type: { type: 'string', default: 'story', enum: ['story', 'article', 'poem', 'script', 'blog', 'essay', 'speech', 'lyrics'], description: 'Kind of content to write', example: 'article' },
+    length: { type: 'string', default: 'medium', enum: ['short', 'medium', 'long'], description: 'Desired length', example: 'medium' },
+    stream: { type: 'boolean', default: false, description: 'Stream the text as Server-Sent Events (same as Accept: text/event-stream)' }
+  },
+  response: {
+    topic: 'string',
+    type: 'string',
+    story: 'string',
+    metadata: { length: 'string', words: 'integer', model: 'string', source: 'string' }
+  },
+  errorMessage: 'Failed to generate content',
+  handler: async (req, res) => {
+    const { topic, type, length } = req.input;
 
     const prompts = {
-      story: `Write a creative and engaging story about: ${sanitizedTopic}`,
-      article: `Write an informative article about: ${sanitizedTopic}`,
-      poem: `Write a beautiful poem about: ${sanitizedTopic}`,
-      script: `Write a short script about: ${sanitizedTopic}`,
-      blog: `Write a blog post about: ${sanitizedTopic}`,
-      essay: `Write an essay about: ${sanitizedTopic}`,
-      speech: `Write a speech about: ${sanitizedTopic}`,
-      lyrics: `Write song lyrics about: ${sanitizedTopic}`
+      story: `Write a creative and engaging story about: ${topic}`,
+      article: `Write an informative article about: ${topic}`,
+      poem: `Write a beautiful poem about: ${topic}`,
+      script: `Write a short script about: ${topic}`,
+      blog: `Write a blog post about: ${topic}`,
+      essay: `Write an essay about: ${topic}`,
+      speech: `Write a speech about: ${topic}`,
+      lyrics: `Write song lyrics about: ${topic}`
+    };
+
+    const maxTokens = { short: 300, medium: 800, long: 1600 };
+
+    const events = wantsStream(req) ? openEventStream(req, res) : null;
+    const prompt = {
+      messages: [{ role: 'user', content: prompts[type] || prompts.story }],
+      maxTokens: maxTokens[length],
+      signal: events && events.signal
     };
 
     let content = '';
+    let model = null;
     let source = 'Fallback';
     
     try {
-      const response = await axios.get(`https://api.popcat.xyz/chatbot`, {
-        params: {
-          msg: prompts[type] || prompts.story,
-          owner: 'Ladybug API',
-          botname: 'AI Writer Premium'
-        },
-        timeout: 15000
-      });
-      content = response.data.response || response.data;
-      source = 'AI';
+      const result = events
+        ? await streamText(req, prompt, chunk => events.send('chunk', { text: chunk }))
+        : await generateText(req, prompt);
+      content = result.text;
+      model = result.model;
+      source = result.source;
     } catch (apiError) {
       // Fallback content
-      content = generateFallbackContent(sanitizedTopic, type);
+      countFallback(req);
+      content = generateFallbackContent(topic, type);
+      if (events) events.send('chunk', { text: content });
     }
 
     const data = {
       success: true,
-      topic: sanitizedTopic,
+      topic: topic,
       type: type,
       story: content,
       metadata: {
         length: length,
         timestamp: new Date().toISOString(),
         words: content.split(' ').length,
+        model: model,
         source: source,
         premium: true,
         free: true
       }
     };
     
-    setCache(req.originalUrl, data);
+    if (events) return events.end(data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate content',
-      message: error.message
-    });
   }
 });
 
@@ -387,86 +2043,140 @@ Making me whole`
   return templates[type] || templates.story;
 }
 
-app.get('/ai/translate', cacheMiddleware, async (req, res) => {
-  try {
-    const { text, to = 'en', from = 'auto' } = req.query;
+defineEndpoint({
+  path: '/ai/detect-language',
+  category: 'ai',
+  summary: 'Detect Language',
+  description: `Identify the language and writing system of a text offline from its character trigrams. Covers ${DETECTABLE_LANGUAGES.length} languages; confidence runs from 0 to 1 and drops for very short texts`,
+  icon: 'fa-globe',
+  cache: CACHE_TTL,
+  acceptsBody: true,
+  params: {
+    text: { type: 'string', required: true, sanitize: true, maxLength: 10000, description: 'Text to identify', example: 'Où est la bibliothèque la plus proche, s\'il vous plaît ?' },
+    candidates: { type: 'integer', default: 5, minimum: 1, maximum: 10, description: 'How many ranked candidates to return' }
+  },
+  response: {
+    language: 'string',
+    name: 'string',
+    confidence: 'number',
+    script: 'string',
+    scripts: 'object',
+    candidates: [{ language: 'string', name: 'string', confidence: 'number' }]
+  },
+  errorMessage: 'Failed to detect language',
+  handler: async (req, res) => {
+    const { text, candidates } = req.input;
+    const result = detectLanguage(text, { limit: candidates });
     
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "text" is required and cannot be empty'
-      });
-    }
+    const data = {
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString(),
+      premium: true,
+      free: true
+    };
+    
+    res.json(data);
+  }
+});
 
-    const sanitizedText = sanitizeInput(text);
-    if (sanitizedText.length > 500) {
-      return res.status(400).json({
-        success: false,
-        error: 'Text is too long (max 500 characters)'
-      });
+// Detections below this are only reported; the translator is left to guess
+const TRANSLATE_DETECTION_MIN_CONFIDENCE = 0.5;
+
+defineEndpoint({
+  path: '/ai/translate',
+  category: 'ai',
+  summary: 'Translate',
+  description: `Translate text between languages. With from=auto the source language is detected first; a detection with confidence ${TRANSLATE_DETECTION_MIN_CONFIDENCE} or more is sent on, and text already in the target language is returned as is`,
+  icon: 'fa-language',
+  cache: CACHE_TTL,
+  params: {
+    text: { type: 'string', required: true, sanitize: true, maxLength: 500, description: 'Text to translate', example: 'Hello world' },
+    to: { type: 'string', default: 'en', enum: Object.keys(ISO_639_1), description: 'Target language, an ISO 639-1 code', example: 'es' },
+    from: { type: 'string', default: 'auto', enum: ['auto', ...Object.keys(ISO_639_1)], description: 'Source language as an ISO 639-1 code, or auto to detect it', example: 'auto' }
+  },
+  response: {
+    original: 'string',
+    translated: 'string',
+    from: 'string',
+    to: 'string',
+    detected: { language: 'string', confidence: 'number', script: 'string' },
+    skipped: 'boolean',
+    source: 'string'
+  },
+  errorMessage: 'Failed to translate text',
+  handler: async (req, res) => {
+    const { text, to } = req.input;
+    let from = req.input.from;
+    
+    let detected = null;
+    if (from === 'auto') {
+      const detection = detectLanguage(text, { limit: 1 });
+      detected = { language: detection.language, confidence: detection.confidence, script: detection.script };
+      if (detection.language !== 'und' && detection.confidence >= TRANSLATE_DETECTION_MIN_CONFIDENCE) {
+        from = detection.language;
+      }
     }
-
-    let translated = '';
-    let source = 'Fallback';
     
-    try {
-      const response = await axios.get(`https://api.popcat.xyz/translate`, {
-        params: {
-          text: sanitizedText,
-          to: to.toLowerCase(),
-          from: from.toLowerCase()
-        },
-        timeout: 10000
-      });
-      translated = response.data.translated || response.data;
-      source = 'AI';
-    } catch (apiError) {
-      // Fallback translation
-      translated = `[Translated to ${to}]: ${sanitizedText}`;
+    let translated = text;
+    let source = 'Unchanged';
+    const skipped = from === to;
+    
+    if (!skipped) {
+      try {
+        const response = await callUpstream(req, 'popcat_translate', {
+          url: 'https://api.popcat.xyz/translate',
+          params: {
+            text: text,
+            to: to,
+            from: from
+          },
+          timeout: 10000
+        });
+        translated = response.data.translated || response.data;
+        source = 'AI';
+      } catch (apiError) {
+        return sendError(res, 'UPSTREAM_UNAVAILABLE', 'Translation service is unavailable, please try again later');
+      }
     }
 
     const data = {
       success: true,
-      original: sanitizedText,
+      original: text,
       translated: translated,
       from: from,
       to: to,
+      detected: detected,
+      skipped: skipped,
       timestamp: new Date().toISOString(),
       source: source,
       premium: true,
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to translate text',
-      message: error.message
-    });
   }
 });
 
-app.get('/ai/summarize', cacheMiddleware, async (req, res) => {
-  try {
-    const { text, length = 'medium' } = req.query;
+defineEndpoint({
+  path: '/ai/summarize',
+  category: 'ai',
+  summary: 'Summarize',
+  description: 'Summarize long text with AI, or offline with mode=extractive by picking the most central sentences (TextRank). The extractive summary is also used whenever the AI provider fails, and then lists the chosen sentence indices',
+  icon: 'fa-compress-alt',
+  job: true,
+  cache: CACHE_TTL,
+  acceptsBody: true,
+  params: {
+    text: { type: 'string', required: true, sanitize: true, minLength: 50, maxLength: 100000, description: 'Text to summarize', example: 'This is a long text that needs to be summarized into a shorter version while maintaining key points and important information for better understanding.' },
+    length: { type: 'string', default: 'medium', enum: ['short', 'medium', 'long'], description: 'Summary length. Extractive summaries keep about 15%, 30% or 50% of the sentences (1-2, 2-5 or 3-10)', example: 'medium' },
+    mode: { type: 'string', default: 'ai', enum: ['ai', 'extractive'], description: 'Write a new summary with AI or pick sentences from the text' }
+  },
+  response: { originalLength: 'integer', summary: 'string', length: 'string', mode: 'string', sentences: ['integer'], model: 'string', source: 'string' },
+  errorMessage: 'Failed to summarize text',
+  handler: async (req, res) => {
+    const { text, length, mode } = req.input;
     
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "text" is required'
-      });
-    }
-
-    const sanitizedText = sanitizeInput(text);
-    if (sanitizedText.length < 50) {
-      return res.status(400).json({
-        success: false,
-        error: 'Text is too short to summarize (min 50 characters)'
-      });
-    }
-
     const lengthPrompts = {
       short: 'Summarize this text in 1-2 sentences:',
       medium: 'Summarize this text in a brief paragraph:',
@@ -474,209 +2184,184 @@ app.get('/ai/summarize', cacheMiddleware, async (req, res) => {
     };
 
     let summary = '';
-    let source = 'Fallback';
+    let sentences = null;
+    let usedMode = mode;
+    let model = null;
+    let source = 'Extractive';
     
-    try {
-      const response = await axios.get(`https://api.popcat.xyz/chatbot`, {
-        params: {
-          msg: `${lengthPrompts[length]} ${sanitizedText}`,
-          owner: 'Ladybug API',
-          botname: 'AI Summarizer Premium'
-        },
-        timeout: 15000
-      });
-      summary = response.data.response || response.data;
-      source = 'AI';
-    } catch (apiError) {
-      // Fallback summary
-      summary = `Summary (${length}): This text discusses ${sanitizedText.substring(0, 50)}... The original content spans ${sanitizedText.length} characters and contains multiple key points that would normally be summarized here with AI assistance. Please try again for a detailed summary.`;
+    if (mode === 'ai') {
+      try {
+        const result = await generateText(req, {
+          system: lengthPrompts[length],
+          messages: [{ role: 'user', content: text }]
+        });
+        summary = result.text;
+        model = result.model;
+        source = result.source;
+      } catch (apiError) {
+        countFallback(req);
+        usedMode = 'extractive';
+      }
+    }
+    
+    if (usedMode === 'extractive') {
+      const extract = summarizeExtractive(text, { length });
+      summary = extract.summary;
+      sentences = extract.sentences;
     }
 
     const data = {
       success: true,
-      originalLength: sanitizedText.length,
+      originalLength: text.length,
       summary: summary,
       length: length,
+      mode: usedMode,
+      sentences: sentences,
       timestamp: new Date().toISOString(),
+      model: model,
       source: source,
       premium: true,
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to summarize text',
-      message: error.message
-    });
   }
 });
 
-app.get('/ai/sentiment', cacheMiddleware, async (req, res) => {
-  try {
-    const { text } = req.query;
-    
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "text" is required'
-      });
-    }
-
-    const sanitizedText = sanitizeInput(text);
-    
-    // Analyze sentiment based on keywords
-    const positiveWords = ['good', 'great', 'excellent', 'amazing', 'wonderful', 'fantastic', 'love', 'happy', 'joy', 'perfect'];
-    const negativeWords = ['bad', 'terrible', 'awful', 'horrible', 'hate', 'sad', 'angry', 'worst', 'disappointed', 'fail'];
+defineEndpoint({
+  path: '/ai/sentiment',
+  category: 'ai',
+  summary: 'Sentiment Analysis',
+  description: 'Analyze text sentiment offline with a weighted lexicon that understands negation, intensifiers, emoji, emoticons and emphasis. Scores run from -100 to 100, per sentence and overall',
+  icon: 'fa-smile',
+  cache: CACHE_TTL,
+  params: {
+    text: { type: 'string', required: true, sanitize: true, description: 'Text to analyze', example: 'I love this amazing product! It works perfectly and exceeded my expectations.' }
+  },
+  response: {
+    text: 'string',
+    sentiment: 'string',
+    score: 'number',
+    confidence: 'number',
+    compound: 'number',
+    comparative: 'number',
+    sentences: [{ text: 'string', score: 'number', compound: 'number', sentiment: 'string' }],
+    tokens: [{ token: 'string', sentence: 'integer', base: 'number', score: 'number', modifiers: ['string'] }]
+  },
+  errorMessage: 'Failed to analyze sentiment',
+  handler: async (req, res) => {
+    const { text } = req.input;
+    const analysis = analyzeSentiment(text);
     
-    const lowerText = sanitizedText.toLowerCase();
-    const positiveCount = positiveWords.filter(word => lowerText.includes(word)).length;
-    const negativeCount = negativeWords.filter(word => lowerText.includes(word)).length;
-    
-    let sentiment = 'neutral';
-    let score = 0;
-    
-    if (positiveCount > negativeCount) {
-      sentiment = 'positive';
-      score = Math.min((positiveCount - negativeCount) * 20, 100);
-    } else if (negativeCount > positiveCount) {
-      sentiment = 'negative';
-      score = Math.max((positiveCount - negativeCount) * 20, -100);
-    } else {
-      score = 0;
-    }
-
     const data = {
       success: true,
-      text: sanitizedText,
-      sentiment: sentiment,
-      score: score,
-      confidence: Math.min(Math.abs(score), 100),
+      text: text,
+      sentiment: analysis.sentiment,
+      score: analysis.score,
+      confidence: Math.abs(analysis.score),
+      compound: analysis.compound,
+      comparative: analysis.comparative,
+      sentences: analysis.sentences,
+      tokens: analysis.tokens,
       timestamp: new Date().toISOString(),
       premium: true,
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to analyze sentiment',
-      message: error.message
-    });
   }
 });
 
-app.get('/ai/grammar', cacheMiddleware, async (req, res) => {
-  try {
-    const { text } = req.query;
-    
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "text" is required'
-      });
-    }
-
-    const sanitizedText = sanitizeInput(text);
-    
-    // Simple grammar checks
-    const issues = [];
-    const corrected = sanitizedText;
-    
-    // Check for common issues
-    if (sanitizedText.match(/\s\s+/)) {
-      issues.push('Multiple spaces detected');
-    }
-    if (!sanitizedText.match(/^[A-Z]/)) {
-      issues.push('Missing capitalization at start');
-    }
-    if (!sanitizedText.match(/[.!?]$/)) {
-      issues.push('Missing punctuation at end');
-    }
+defineEndpoint({
+  path: '/ai/grammar',
+  category: 'ai',
+  summary: 'Grammar Check',
+  description: 'Check grammar and style with a rule engine: repeated words, a/an, its/it\'s and their/there confusions, capitalization, punctuation spacing and long sentences. Safe fixes are applied to the corrected text',
+  icon: 'fa-spell-check',
+  cache: CACHE_TTL,
+  acceptsBody: true,
+  params: {
+    text: { type: 'string', required: true, sanitize: true, maxLength: 100000, description: 'Text to check', example: 'their is a apple on the the table ,i think its a good one' },
+    maxSentenceWords: { type: 'integer', default: 40, minimum: 10, maximum: 200, description: 'Sentences longer than this are reported as too long' }
+  },
+  response: {
+    original: 'string',
+    corrected: 'string',
+    issues: [{ rule: 'string', message: 'string', severity: 'string', offset: 'integer', length: 'integer', text: 'string', replacements: ['string'], safe: 'boolean' }],
+    fixesApplied: 'integer',
+    score: 'integer'
+  },
+  errorMessage: 'Failed to check grammar',
+  handler: async (req, res) => {
+    const { text, maxSentenceWords } = req.input;
+    const result = checkGrammar(text, { maxSentenceWords });
     
     const data = {
       success: true,
-      original: sanitizedText,
-      corrected: corrected,
-      issues: issues,
-      score: Math.max(0, 100 - (issues.length * 10)),
+      original: text,
+      corrected: result.corrected,
+      issues: result.issues,
+      fixesApplied: result.fixesApplied,
+      score: result.score,
       timestamp: new Date().toISOString(),
       premium: true,
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to check grammar',
-      message: error.message
-    });
   }
 });
 
-app.get('/ai/keyword', cacheMiddleware, async (req, res) => {
-  try {
-    const { text, max = 10 } = req.query;
-    
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "text" is required'
-      });
+defineEndpoint({
+  path: '/ai/keyword',
+  category: 'ai',
+  summary: 'Keyword Extractor',
+  description: `Extract keyphrases of up to maxWords words with RAKE or TextRank, optionally weighted by TF-IDF against a bundled background corpus (${TFIDF_LANGUAGES.join(', ')}). English words are stemmed so "running" and "runs" count together`,
+  icon: 'fa-key',
+  cache: CACHE_TTL,
+  acceptsBody: true,
+  params: {
+    text: { type: 'string', required: true, sanitize: true, maxLength: 100000, description: 'Text to extract keywords from', example: 'Artificial intelligence and machine learning are transforming the technology industry with innovative solutions and automated processes.' },
+    max: { type: 'integer', default: 10, minimum: 1, maximum: 20, description: 'Maximum number of keywords', example: 10 },
+    method: { type: 'string', default: 'rake', enum: ['rake', 'textrank'], description: 'Scoring algorithm' },
+    lang: { type: 'string', default: 'en', enum: KEYWORD_LANGUAGES, description: 'Language of the text, picks the stopword list' },
+    tfidf: { type: 'boolean', default: false, description: 'Weight words by their rarity in the background corpus' },
+    maxWords: { type: 'integer', default: 3, minimum: 1, maximum: 5, description: 'Longest keyphrase in words' }
+  },
+  response: {
+    text: 'string',
+    method: 'string',
+    lang: 'string',
+    tfidf: 'boolean',
+    keywords: [{ keyword: 'string', score: 'number', relevance: 'integer', frequency: 'integer', words: 'integer' }],
+    totalWords: 'integer',
+    uniqueKeywords: 'integer'
+  },
+  errorMessage: 'Failed to extract keywords',
+  handler: async (req, res) => {
+    const { text, max, method, lang, tfidf, maxWords } = req.input;
+    
+    if (tfidf && !TFIDF_LANGUAGES.includes(lang)) {
+      return sendError(res, 'INVALID_PARAMETER', `TF-IDF weighting is only available for ${TFIDF_LANGUAGES.join(', ')}`, { param: 'tfidf' });
     }
-
-    const sanitizedText = sanitizeInput(text);
-    const maxKeywords = Math.min(parseInt(max), 20);
     
-    // Extract keywords (simple word frequency)
-    const words = sanitizedText.toLowerCase()
-      .replace(/[^\w\s]/g, '')
-      .split(/\s+/)
-      .filter(word => word.length > 3);
-    
-    const stopWords = ['the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had', 'her', 'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two', 'way', 'who', 'boy', 'did', 'she', 'use', 'her', 'than', 'when', 'make', 'time'];
-    
-    const filteredWords = words.filter(word => !stopWords.includes(word));
-    
-    const wordCount = {};
-    filteredWords.forEach(word => {
-      wordCount[word] = (wordCount[word] || 0) + 1;
-    });
+    const result = extractKeywords(text, { method, lang, tfidf, max, maxWords });
     
-    const keywords = Object.entries(wordCount)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, maxKeywords)
-      .map(([word, count]) => ({
-        keyword: word,
-        frequency: count,
-        relevance: Math.round((count / filteredWords.length) * 100)
-      }));
-
     const data = {
       success: true,
-      text: sanitizedText,
-      keywords: keywords,
-      totalWords: words.length,
-      uniqueKeywords: Object.keys(wordCount).length,
+      text: text,
+      method: method,
+      lang: lang,
+      tfidf: tfidf,
+      keywords: result.keywords,
+      totalWords: result.totalWords,
+      uniqueKeywords: result.uniqueKeywords,
       timestamp: new Date().toISOString(),
       premium: true,
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to extract keywords',
-      message: error.message
-    });
   }
 });
 
@@ -684,17 +2369,21 @@ app.get('/ai/keyword', cacheMiddleware, async (req, res) => {
 // BUSINESS APIS
 // ============================================
 
-app.get('/business/email-validator', cacheMiddleware, async (req, res) => {
-  try {
-    const { email } = req.query;
+defineEndpoint({
+  path: '/business/email-validator',
+  category: 'business',
+  summary: 'Email Validator',
+  description: 'Validate email addresses instantly',
+  icon: 'fa-envelope',
+  cache: CACHE_TTL,
+  params: {
+    email: { type: 'string', required: true, description: 'Email address to validate', example: 'user@example.com' }
+  },
+  response: { email: 'string', isValid: 'boolean', domain: 'string', domainExists: 'boolean', isDisposable: 'boolean' },
+  errorMessage: 'Failed to validate email',
+  handler: async (req, res) => {
+    const { email } = req.input;
     
-    if (!email || email.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "email" is required'
-      });
-    }
-
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     const isValid = emailRegex.test(email);
     
@@ -714,14 +2403,7 @@ app.get('/business/email-validator', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to validate email',
-      message: error.message
-    });
   }
 });
 
@@ -730,17 +2412,22 @@ function isDisposableDomain(domain) {
   return disposableDomains.some(disposable => domain.includes(disposable));
 }
 
-app.get('/business/phone-validator', cacheMiddleware, async (req, res) => {
-  try {
-    const { phone, country = 'US' } = req.query;
+defineEndpoint({
+  path: '/business/phone-validator',
+  category: 'business',
+  summary: 'Phone Validator',
+  description: 'Validate phone numbers worldwide',
+  icon: 'fa-phone',
+  cache: CACHE_TTL,
+  params: {
+    phone: { type: 'string', required: true, description: 'Phone number to validate', example: '+1234567890' },
+    country: { type: 'string', default: 'US', description: 'Country code', example: 'US' }
+  },
+  response: { phone: 'string', cleanPhone: 'string', isValid: 'boolean', country: 'string', type: 'string' },
+  errorMessage: 'Failed to validate phone',
+  handler: async (req, res) => {
+    const { phone, country } = req.input;
     
-    if (!phone || phone.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "phone" is required'
-      });
-    }
-
     const cleanPhone = phone.replace(/\D/g, '');
     const isValid = cleanPhone.length >= 10 && cleanPhone.length <= 15;
     
@@ -756,14 +2443,7 @@ app.get('/business/phone-validator', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to validate phone',
-      message: error.message
-    });
   }
 });
 
@@ -774,9 +2454,25 @@ function detectPhoneType(phone) {
   return 'unknown';
 }
 
-app.get('/business/color-palette', cacheMiddleware, async (req, res) => {
-  try {
-    const { theme = 'vibrant', count = 5 } = req.query;
+defineEndpoint({
+  path: '/business/color-palette',
+  category: 'business',
+  summary: 'Color Palette',
+  description: 'Generate beautiful color schemes',
+  icon: 'fa-palette',
+  cache: CACHE_TTL,
+  params: {
+    theme: { type: 'string', default: 'vibrant', enum: ['vibrant', 'pastel', 'dark', 'nature', 'ocean', 'sunset'], description: 'Palette theme', example: 'vibrant' },
+    count: { type: 'integer', default: 5, minimum: 1, maximum: 5, description: 'Number of colors', example: 5 }
+  },
+  response: {
+    theme: 'string',
+    colors: [{ color: 'string', hex: 'string', rgb: { r: 'integer', g: 'integer', b: 'integer' }, name: 'string' }],
+    count: 'integer'
+  },
+  errorMessage: 'Failed to generate color palette',
+  handler: async (req, res) => {
+    const { theme, count } = req.input;
     
     const themes = {
       vibrant: ['#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8'],
@@ -788,7 +2484,7 @@ app.get('/business/color-palette', cacheMiddleware, async (req, res) => {
     };
     
     const selectedTheme = themes[theme] || themes.vibrant;
-    const palette = selectedTheme.slice(0, Math.min(parseInt(count), selectedTheme.length));
+    const palette = selectedTheme.slice(0, Math.min(count, selectedTheme.length));
     
     const data = {
       success: true,
@@ -805,14 +2501,7 @@ app.get('/business/color-palette', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate color palette',
-      message: error.message
-    });
   }
 });
 
@@ -834,23 +2523,35 @@ function getColorName(index) {
 // DEVELOPER APIS
 // ============================================
 
-app.get('/dev/json-formatter', cacheMiddleware, async (req, res) => {
-  try {
-    const { json, indent = 2 } = req.query;
+defineEndpoint({
+  path: '/dev/json-formatter',
+  category: 'dev',
+  summary: 'JSON Formatter',
+  description: 'Format and validate JSON strings',
+  icon: 'fa-code',
+  cache: CACHE_TTL,
+  acceptsBody: true,
+  params: {
+    json: { type: 'string', format: 'json', required: true, description: 'JSON document to format', example: '{"name":"John","age":30,"city":"New York"}' },
+    indent: { type: 'integer', default: 2, minimum: 0, maximum: 10, description: 'Spaces per indentation level', example: 2 }
+  },
+  response: {
+    original: 'string',
+    formatted: 'string',
+    isValid: 'boolean',
+    indent: 'integer',
+    size: { original: 'integer', formatted: 'integer' }
+  },
+  errorMessage: 'Failed to format JSON',
+  handler: async (req, res) => {
+    const { json, indent } = req.input;
     
-    if (!json || json.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "json" is required'
-      });
-    }
-
     let formatted;
     let isValid = true;
     
     try {
       const parsed = JSON.parse(json);
-      formatted = JSON.stringify(parsed, null, parseInt(indent));
+      formatted = JSON.stringify(parsed, null, indent);
     } catch (parseError) {
       isValid = false;
       formatted = json; // Return original if invalid
@@ -871,28 +2572,27 @@ app.get('/dev/json-formatter', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to format JSON',
-      message: error.message
-    });
   }
 });
 
-app.get('/dev/base64-encoder', cacheMiddleware, async (req, res) => {
-  try {
-    const { text, action = 'encode' } = req.query;
+defineEndpoint({
+  path: '/dev/base64-encoder',
+  category: 'dev',
+  summary: 'Base64 Encoder',
+  description: 'Encode/decode Base64 text',
+  icon: 'fa-lock',
+  cache: CACHE_TTL,
+  acceptsBody: true,
+  params: {
+    text: { type: 'string', required: true, description: 'Text to encode or decode', example: 'Hello World' },
+    action: { type: 'string', default: 'encode', enum: ['encode', 'decode'], description: 'Direction of the conversion', example: 'encode' }
+  },
+  response: { action: 'string', input: 'string', output: 'string', size: { input: 'integer', output: 'integer' } },
+  errorMessage: 'Failed to process base64',
+  handler: async (req, res) => {
+    const { text, action } = req.input;
     
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "text" is required'
-      });
-    }
-
     let result;
     if (action === 'encode') {
       result = Buffer.from(text).toString('base64');
@@ -918,23 +2618,27 @@ app.get('/dev/base64-encoder', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process base64',
-      message: error.message
-    });
   }
 });
 
-app.get('/dev/uuid-generator', cacheMiddleware, async (req, res) => {
-  try {
-    const { version = 4, count = 1 } = req.query;
+defineEndpoint({
+  path: '/dev/uuid-generator',
+  category: 'dev',
+  summary: 'UUID Generator',
+  description: 'Generate unique identifiers',
+  icon: 'fa-fingerprint',
+  params: {
+    version: { type: 'integer', default: 4, enum: [4], description: 'UUID version', example: 4 },
+    count: { type: 'integer', default: 1, minimum: 1, maximum: 10, description: 'Number of UUIDs', example: 5 }
+  },
+  response: { version: 'integer', count: 'integer', uuids: ['string'] },
+  errorMessage: 'Failed to generate UUID',
+  handler: async (req, res) => {
+    const { version, count } = req.input;
     
     const uuids = [];
-    for (let i = 0; i < Math.min(parseInt(count), 10); i++) {
+    for (let i = 0; i < count; i++) {
       uuids.push(generateUUID());
     }
 
@@ -948,14 +2652,7 @@ app.get('/dev/uuid-generator', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate UUID',
-      message: error.message
-    });
   }
 });
 
@@ -963,17 +2660,22 @@ app.get('/dev/uuid-generator', cacheMiddleware, async (req, res) => {
 // SOCIAL MEDIA APIS
 // ============================================
 
-app.get('/social/twitter-screenshot', cacheMiddleware, async (req, res) => {
-  try {
-    const { username, theme = 'light' } = req.query;
+defineEndpoint({
+  path: '/social/twitter-screenshot',
+  category: 'social',
+  summary: 'Twitter Screenshot',
+  description: 'Generate Twitter profile screenshots',
+  icon: 'fa-twitter',
+  cache: CACHE_TTL,
+  params: {
+    username: { type: 'string', required: true, description: 'Twitter/X username', example: 'elonmusk' },
+    theme: { type: 'string', default: 'light', enum: ['light', 'dark'], description: 'Screenshot theme', example: 'light' }
+  },
+  response: { username: 'string', screenshotUrl: 'string', theme: 'string', twitterUrl: 'string', note: 'string' },
+  errorMessage: 'Failed to generate Twitter screenshot',
+  handler: async (req, res) => {
+    const { username, theme } = req.input;
     
-    if (!username || username.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "username" is required'
-      });
-    }
-
     const screenshotUrl = `https://shot.screenshotapi.net/screenshot?token=DZ8XQ3N-LYRJ3-6Q9S8-Y4A6A-JK8P7R&url=https://twitter.com/${username}&width=800&height=600&format=png&download=0&device=desktop&waitForSelector=.tweet&fullPage=false`;
 
     const data = {
@@ -988,28 +2690,25 @@ app.get('/social/twitter-screenshot', cacheMiddleware, async (req, res) => {
       note: 'Screenshot will be generated automatically'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate Twitter screenshot',
-      message: error.message
-    });
   }
 });
 
-app.get('/social/instagram-downloader', cacheMiddleware, async (req, res) => {
-  try {
-    const { url } = req.query;
+defineEndpoint({
+  path: '/social/instagram-downloader',
+  category: 'social',
+  summary: 'Instagram Downloader',
+  description: 'Download Instagram media',
+  icon: 'fa-instagram',
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'Instagram post URL', example: 'https://www.instagram.com/p/example/' }
+  },
+  response: { url: 'string', downloadUrl: 'string', mediaType: 'string', note: 'string' },
+  errorMessage: 'Failed to process Instagram media',
+  handler: async (req, res) => {
+    const { url } = req.input;
     
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
-    }
-
     // Mock response for demonstration
     const data = {
       success: true,
@@ -1022,14 +2721,7 @@ app.get('/social/instagram-downloader', cacheMiddleware, async (req, res) => {
       note: 'This is a demo. Real download would require Instagram API access'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process Instagram media',
-      message: error.message
-    });
   }
 });
 
@@ -1037,17 +2729,23 @@ app.get('/social/instagram-downloader', cacheMiddleware, async (req, res) => {
 // DATA APIS
 // ============================================
 
-app.get('/data/currency-converter', cacheMiddleware, async (req, res) => {
-  try {
-    const { amount, from = 'USD', to = 'EUR' } = req.query;
+defineEndpoint({
+  path: '/data/currency-converter',
+  category: 'data',
+  summary: 'Currency Converter',
+  description: 'Convert between currencies',
+  icon: 'fa-exchange-alt',
+  cache: CACHE_TTL,
+  params: {
+    amount: { type: 'number', required: true, description: 'Amount to convert', example: 100 },
+    from: { type: 'string', default: 'USD', description: 'Source currency', example: 'USD' },
+    to: { type: 'string', default: 'EUR', description: 'Target currency', example: 'EUR' }
+  },
+  response: { amount: 'number', from: 'string', to: 'string', rate: 'number', converted: 'number', note: 'string' },
+  errorMessage: 'Failed to convert currency',
+  handler: async (req, res) => {
+    const { amount, from, to } = req.input;
     
-    if (!amount || isNaN(amount)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "amount" is required and must be a number'
-      });
-    }
-
     // Mock exchange rates (in production, use real API)
     const exchangeRates = {
       'USD-EUR': 0.85,
@@ -1061,11 +2759,11 @@ app.get('/data/currency-converter', cacheMiddleware, async (req, res) => {
 
     const pair = `${from}-${to}`;
     const rate = exchangeRates[pair] || 1;
-    const converted = (parseFloat(amount) * rate).toFixed(2);
+    const converted = (amount * rate).toFixed(2);
 
     const data = {
       success: true,
-      amount: parseFloat(amount),
+      amount: amount,
       from: from,
       to: to,
       rate: rate,
@@ -1076,20 +2774,27 @@ app.get('/data/currency-converter', cacheMiddleware, async (req, res) => {
       note: 'Rates are for demonstration. Use real API for production.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to convert currency',
-      message: error.message
-    });
   }
 });
 
-app.get('/data/weather', cacheMiddleware, async (req, res) => {
-  try {
-    const { city = 'New York', units = 'metric' } = req.query;
+defineEndpoint({
+  path: '/data/weather',
+  category: 'data',
+  summary: 'Weather Data',
+  description: 'Get weather for any city',
+  icon: 'fa-cloud-sun',
+  params: {
+    city: { type: 'string', default: 'New York', description: 'City name', example: 'New York' },
+    units: { type: 'string', default: 'metric', enum: ['metric', 'imperial'], description: 'Unit system', example: 'metric' }
+  },
+  response: {
+    weather: { city: 'string', temperature: 'integer', humidity: 'integer', windSpeed: 'integer', description: 'string', icon: 'string', units: 'string' },
+    note: 'string'
+  },
+  errorMessage: 'Failed to get weather data',
+  handler: async (req, res) => {
+    const { city, units } = req.input;
     
     // Mock weather data
     const mockWeather = {
@@ -1111,14 +2816,7 @@ app.get('/data/weather', cacheMiddleware, async (req, res) => {
       note: 'This is demo weather data. Use real weather API for production.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get weather data',
-      message: error.message
-    });
   }
 });
 
@@ -1126,17 +2824,25 @@ app.get('/data/weather', cacheMiddleware, async (req, res) => {
 // MUSIC APIS (5 endpoints)
 // ============================================
 
-app.get('/music/shazam', cacheMiddleware, async (req, res) => {
-  try {
-    const { url } = req.query;
+defineEndpoint({
+  path: '/music/shazam',
+  category: 'music',
+  summary: 'Shazam Music',
+  description: 'Identify music from audio',
+  icon: 'fa-music',
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'Audio file URL', example: 'https://example.com/audio.mp3' }
+  },
+  response: {
+    url: 'string',
+    song: { title: 'string', artist: 'string', album: 'string', year: 'integer', genre: 'string', duration: 'string', lyrics: 'string' },
+    note: 'string'
+  },
+  errorMessage: 'Failed to identify music',
+  handler: async (req, res) => {
+    const { url } = req.input;
     
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
-    }
-
     // Mock music recognition response
     const data = {
       success: true,
@@ -1156,28 +2862,32 @@ app.get('/music/shazam', cacheMiddleware, async (req, res) => {
       note: 'This is a demo. Real music recognition would require audio processing API.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to identify music',
-      message: error.message
-    });
   }
 });
 
-app.get('/music/lyrics', cacheMiddleware, async (req, res) => {
-  try {
-    const { song, artist } = req.query;
+defineEndpoint({
+  path: '/music/lyrics',
+  category: 'music',
+  summary: 'Song Lyrics',
+  description: 'Get song lyrics by title',
+  icon: 'fa-microphone',
+  cache: CACHE_TTL,
+  params: {
+    song: { type: 'string', required: true, description: 'Song title', example: 'Shape of You' },
+    artist: { type: 'string', description: 'Artist name', example: 'Ed Sheeran' }
+  },
+  response: {
+    song: 'string',
+    artist: 'string',
+    lyrics: 'string',
+    metadata: { genre: 'string', year: 'integer', album: 'string', duration: 'string' },
+    note: 'string'
+  },
+  errorMessage: 'Failed to get lyrics',
+  handler: async (req, res) => {
+    const { song, artist } = req.input;
     
-    if (!song || song.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "song" is required'
-      });
-    }
-
     // Mock lyrics response
     const data = {
       success: true,
@@ -1199,28 +2909,32 @@ Real lyrics would require licensing and API integration.`,
       note: 'This is demo content. Real lyrics require proper licensing.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get lyrics',
-      message: error.message
-    });
   }
 });
 
-app.get('/music/spotify', cacheMiddleware, async (req, res) => {
-  try {
-    const { query, type = 'track', limit = 10 } = req.query;
+defineEndpoint({
+  path: '/music/spotify',
+  category: 'music',
+  summary: 'Spotify Search',
+  description: 'Search tracks on Spotify',
+  icon: 'fa-spotify',
+  cache: CACHE_TTL,
+  params: {
+    query: { type: 'string', required: true, description: 'Search terms', example: 'Best songs 2024' },
+    type: { type: 'string', default: 'track', enum: ['track', 'album', 'artist', 'playlist'], description: 'What to search for', example: 'track' },
+    limit: { type: 'integer', default: 10, minimum: 1, maximum: 50, description: 'Maximum number of results', example: 10 }
+  },
+  response: {
+    query: 'string',
+    type: 'string',
+    tracks: [{ id: 'string', name: 'string', artist: 'string', album: 'string', duration: 'string', preview_url: 'string', external_url: 'string' }],
+    note: 'string'
+  },
+  errorMessage: 'Failed to search Spotify',
+  handler: async (req, res) => {
+    const { query, type, limit } = req.input;
     
-    if (!query || query.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "query" is required'
-      });
-    }
-
     // Mock Spotify search response
     const data = {
       success: true,
@@ -1245,35 +2959,37 @@ app.get('/music/spotify', cacheMiddleware, async (req, res) => {
           preview_url: 'https://p.scdn.co/mp3-preview/demo2.mp3',
           external_url: 'https://open.spotify.com/track/demo2'
         }
-      ].slice(0, parseInt(limit)),
+      ].slice(0, limit),
       timestamp: new Date().toISOString(),
       premium: true,
       free: true,
       note: 'This is demo data. Real Spotify API requires authentication.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to search Spotify',
-      message: error.message
-    });
   }
 });
 
-app.get('/music/youtube', cacheMiddleware, async (req, res) => {
-  try {
-    const { query, limit = 10 } = req.query;
+defineEndpoint({
+  path: '/music/youtube',
+  category: 'music',
+  summary: 'YouTube Music',
+  description: 'Search YouTube music',
+  icon: 'fa-youtube',
+  cache: CACHE_TTL,
+  params: {
+    query: { type: 'string', required: true, description: 'Search terms', example: 'Pop music playlist' },
+    limit: { type: 'integer', default: 10, minimum: 1, maximum: 50, description: 'Maximum number of results', example: 10 }
+  },
+  response: {
+    query: 'string',
+    videos: [{ id: 'string', title: 'string', channel: 'string', duration: 'string', views: 'string', thumbnail: 'string', url: 'string' }],
+    note: 'string'
+  },
+  errorMessage: 'Failed to search YouTube music',
+  handler: async (req, res) => {
+    const { query, limit } = req.input;
     
-    if (!query || query.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "query" is required'
-      });
-    }
-
     // Mock YouTube music search response
     const data = {
       success: true,
@@ -1297,27 +3013,40 @@ app.get('/music/youtube', cacheMiddleware, async (req, res) => {
           thumbnail: 'https://img.youtube.com/vi/demo2/mqdefault.jpg',
           url: 'https://youtube.com/watch?v=demo2'
         }
-      ].slice(0, parseInt(limit)),
+      ].slice(0, limit),
       timestamp: new Date().toISOString(),
       premium: true,
       free: true,
       note: 'This is demo data. Real YouTube API requires API key.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to search YouTube music',
-      message: error.message
-    });
   }
 });
 
-app.get('/music/playlist', cacheMiddleware, async (req, res) => {
-  try {
-    const { genre, mood, count = 20 } = req.query;
+defineEndpoint({
+  path: '/music/playlist',
+  category: 'music',
+  summary: 'Playlist Generator',
+  description: 'Generate music playlists',
+  icon: 'fa-list-music',
+  cache: CACHE_TTL,
+  params: {
+    genre: { type: 'string', description: 'Music genre', example: 'pop' },
+    mood: { type: 'string', description: 'Playlist mood', example: 'happy' },
+    count: { type: 'integer', default: 20, minimum: 1, maximum: 50, description: 'Number of tracks', example: 20 }
+  },
+  response: {
+    playlist: {
+      name: 'string',
+      description: 'string',
+      tracks: [{ id: 'string', title: 'string', artist: 'string', album: 'string', duration: 'string', mood: 'string', genre: 'string' }]
+    },
+    note: 'string'
+  },
+  errorMessage: 'Failed to generate playlist',
+  handler: async (req, res) => {
+    const { genre, mood, count } = req.input;
     
     // Mock playlist generation
     const data = {
@@ -1325,7 +3054,7 @@ app.get('/music/playlist', cacheMiddleware, async (req, res) => {
       playlist: {
         name: `${mood || 'Mixed'} ${genre || 'All'} Music Playlist`,
         description: `A curated playlist of ${count} ${mood || 'mixed'} ${genre || 'music'} songs`,
-        tracks: Array.from({ length: Math.min(parseInt(count), 50) }, (_, i) => ({
+        tracks: Array.from({ length: count }, (_, i) => ({
           id: `track${i + 1}`,
           title: `Demo ${genre || 'Music'} Track ${i + 1}`,
           artist: `Demo Artist ${i + 1}`,
@@ -1341,14 +3070,7 @@ app.get('/music/playlist', cacheMiddleware, async (req, res) => {
       note: 'This is a demo playlist. Real playlists would use music streaming APIs.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate playlist',
-      message: error.message
-    });
   }
 });
 
@@ -1356,24 +3078,20 @@ app.get('/music/playlist', cacheMiddleware, async (req, res) => {
 // TOOLS APIS (10 endpoints)
 // ============================================
 
-app.get('/tools/tinyurl', cacheMiddleware, async (req, res) => {
-  try {
-    const { url } = req.query;
+defineEndpoint({
+  path: '/tools/tinyurl',
+  category: 'tools',
+  summary: 'Tiny URL',
+  description: 'Shorten URLs instantly',
+  icon: 'fa-link',
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'URL to shorten', example: 'https://example.com/very-long-url' }
+  },
+  response: { original: 'string', short: 'string', stats: { clicks: 'integer', created: 'string' }, note: 'string' },
+  errorMessage: 'Failed to shorten URL',
+  handler: async (req, res) => {
+    const { url } = req.input;
     
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
-    }
-
-    if (!isValidUrl(url)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid URL format'
-      });
-    }
-
     const shortUrl = `https://tinyurl.com/${Math.random().toString(36).substring(2, 8)}`;
     
     const data = {
@@ -1390,28 +3108,26 @@ app.get('/tools/tinyurl', cacheMiddleware, async (req, res) => {
       note: 'This is a demo URL. Real shortening requires URL shortening service API.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to shorten URL',
-      message: error.message
-    });
   }
 });
 
-app.get('/tools/qr-code', cacheMiddleware, async (req, res) => {
-  try {
-    const { text, size = '200' } = req.query;
+defineEndpoint({
+  path: '/tools/qr-code',
+  category: 'tools',
+  summary: 'QR Code Generator',
+  description: 'Generate QR codes',
+  icon: 'fa-qrcode',
+  cache: CACHE_TTL,
+  params: {
+    text: { type: 'string', required: true, description: 'Text or URL to encode', example: 'https://example.com' },
+    size: { type: 'integer', default: 200, minimum: 50, maximum: 1000, description: 'Image size in pixels', example: 200 }
+  },
+  response: { text: 'string', qrCodeUrl: 'string', size: 'integer', format: 'string' },
+  errorMessage: 'Failed to generate QR code',
+  handler: async (req, res) => {
+    const { text, size } = req.input;
     
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "text" is required'
-      });
-    }
-
     const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=${size}x${size}&data=${encodeURIComponent(text)}`;
     
     const data = {
@@ -1425,23 +3141,30 @@ app.get('/tools/qr-code', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate QR code',
-      message: error.message
-    });
   }
 });
 
-app.get('/tools/password', cacheMiddleware, async (req, res) => {
-  try {
-    const { length = '16', includeSymbols = 'true' } = req.query;
-    
-    const len = Math.min(parseInt(length), 32);
-    const symbols = includeSymbols === 'true' ? '!@#$%^&*()_+-=[]{}|;:,.<>?' : '';
+defineEndpoint({
+  path: '/tools/password',
+  category: 'tools',
+  summary: 'Password Generator',
+  description: 'Generate secure passwords',
+  icon: 'fa-key',
+  params: {
+    length: { type: 'integer', default: 16, minimum: 4, maximum: 32, description: 'Password length', example: 16 },
+    includeSymbols: { type: 'boolean', default: true, description: 'Include symbol characters', example: true }
+  },
+  response: {
+    password: 'string',
+    strength: 'number',
+    metadata: { length: 'integer', includeSymbols: 'boolean', entropy: 'number' }
+  },
+  errorMessage: 'Failed to generate password',
+  handler: async (req, res) => {
+    const { length: len, includeSymbols } = req.input;
+    
+    const symbols = includeSymbols ? '!@#$%^&*()_+-=[]{}|;:,.<>?' : '';
     const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789' + symbols;
     
     let password = '';
@@ -1455,7 +3178,7 @@ app.get('/tools/password', cacheMiddleware, async (req, res) => {
       strength: calculatePasswordStrength(password),
       metadata: {
         length: len,
-        includeSymbols: includeSymbols === 'true',
+        includeSymbols: includeSymbols,
         entropy: Math.log2(Math.pow(charset.length, len))
       },
       timestamp: new Date().toISOString(),
@@ -1463,14 +3186,7 @@ app.get('/tools/password', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate password',
-      message: error.message
-    });
   }
 });
 
@@ -1485,17 +3201,22 @@ function calculatePasswordStrength(password) {
   return Math.min(strength, 100);
 }
 
-app.get('/tools/hash', cacheMiddleware, async (req, res) => {
-  try {
-    const { text, algorithm = 'sha256' } = req.query;
+defineEndpoint({
+  path: '/tools/hash',
+  category: 'tools',
+  summary: 'Hash Generator',
+  description: 'Generate text hashes',
+  icon: 'fa-shield-alt',
+  cache: CACHE_TTL,
+  params: {
+    text: { type: 'string', required: true, description: 'Text to hash', example: 'Hello World' },
+    algorithm: { type: 'string', default: 'sha256', enum: ['md5', 'sha1', 'sha256', 'sha384', 'sha512'], description: 'Hash algorithm', example: 'sha256' }
+  },
+  response: { text: 'string', algorithm: 'string', hash: 'string', length: 'integer' },
+  errorMessage: 'Failed to generate hash',
+  handler: async (req, res) => {
+    const { text, algorithm } = req.input;
     
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "text" is required'
-      });
-    }
-
     const crypto = require('crypto');
     const hash = crypto.createHash(algorithm).update(text).digest('hex');
     
@@ -1510,24 +3231,28 @@ app.get('/tools/hash', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate hash',
-      message: error.message
-    });
   }
 });
 
-app.get('/tools/timestamp', cacheMiddleware, async (req, res) => {
-  try {
-    const { timestamp, format = 'datetime' } = req.query;
+defineEndpoint({
+  path: '/tools/timestamp',
+  category: 'tools',
+  summary: 'Timestamp Converter',
+  description: 'Convert timestamps',
+  icon: 'fa-clock',
+  params: {
+    timestamp: { type: 'integer', description: 'Unix timestamp in seconds, defaults to now', example: 1640995200 },
+    format: { type: 'string', default: 'datetime', enum: ['datetime', 'unix', 'readable'], description: 'Output format', example: 'datetime' }
+  },
+  response: { input: 'string', format: 'string', result: 'any' },
+  errorMessage: 'Failed to convert timestamp',
+  handler: async (req, res) => {
+    const { timestamp, format } = req.input;
     
     let date;
     if (timestamp) {
-      date = new Date(parseInt(timestamp) * 1000);
+      date = new Date(timestamp * 1000);
     } else {
       date = new Date();
     }
@@ -1557,28 +3282,25 @@ app.get('/tools/timestamp', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to convert timestamp',
-      message: error.message
-    });
   }
 });
 
-app.get('/tools/calculator', cacheMiddleware, async (req, res) => {
-  try {
-    const { expression } = req.query;
+defineEndpoint({
+  path: '/tools/calculator',
+  category: 'tools',
+  summary: 'Calculator',
+  description: 'Perform calculations',
+  icon: 'fa-calculator',
+  cache: CACHE_TTL,
+  params: {
+    expression: { type: 'string', required: true, description: 'Arithmetic expression using + - * / and parentheses', example: '2+2*3' }
+  },
+  response: { expression: 'string', result: 'number' },
+  errorMessage: 'Failed to calculate',
+  handler: async (req, res) => {
+    const { expression } = req.input;
     
-    if (!expression || expression.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "expression" is required'
-      });
-    }
-
     // Safe evaluation (basic math only)
     const safeExpression = expression.replace(/[^0-9+\-*/().\s]/g, '');
     let result;
@@ -1586,10 +3308,7 @@ app.get('/tools/calculator', cacheMiddleware, async (req, res) => {
     try {
       result = Function('"use strict"; return (' + safeExpression + ')')();
     } catch (e) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid mathematical expression'
-      });
+      return sendError(res, 'INVALID_PARAMETER', 'Invalid mathematical expression', { param: 'expression' });
     }
     
     const data = {
@@ -1601,37 +3320,29 @@ app.get('/tools/calculator', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to calculate',
-      message: error.message
-    });
   }
 });
 
-app.get('/tools/units', cacheMiddleware, async (req, res) => {
-  try {
-    const { value, from, to } = req.query;
-    
-    if (!value || isNaN(value)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "value" is required and must be a number'
-      });
-    }
-    
-    if (!from || !to) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameters "from" and "to" are required'
-      });
-    }
+defineEndpoint({
+  path: '/tools/units',
+  category: 'tools',
+  summary: 'Unit Converter',
+  description: 'Convert between units',
+  icon: 'fa-ruler',
+  cache: CACHE_TTL,
+  params: {
+    value: { type: 'number', required: true, description: 'Value to convert', example: 100 },
+    from: { type: 'string', required: true, enum: ['kg', 'lbs', 'cm', 'inches', 'celsius', 'fahrenheit'], description: 'Source unit', example: 'kg' },
+    to: { type: 'string', required: true, enum: ['kg', 'lbs', 'cm', 'inches', 'celsius', 'fahrenheit'], description: 'Target unit', example: 'lbs' }
+  },
+  response: { value: 'number', from: 'string', to: 'string', result: 'number', note: 'string' },
+  errorMessage: 'Failed to convert units',
+  handler: async (req, res) => {
+    const { value, from, to } = req.input;
     
     // Mock unit conversion (basic examples)
-    let converted = parseFloat(value);
+    let converted = value;
     const conversionKey = `${from}-${to}`;
     
     const conversions = {
@@ -1653,7 +3364,7 @@ app.get('/tools/units', cacheMiddleware, async (req, res) => {
     
     const data = {
       success: true,
-      value: parseFloat(value),
+      value: value,
       from: from,
       to: to,
       result: converted,
@@ -1663,28 +3374,26 @@ app.get('/tools/units', cacheMiddleware, async (req, res) => {
       note: 'Basic unit conversion. Advanced conversions would require specialized APIs.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to convert units',
-      message: error.message
-    });
   }
 });
 
-app.get('/tools/ascii', cacheMiddleware, async (req, res) => {
-  try {
-    const { text, font = 'standard' } = req.query;
+defineEndpoint({
+  path: '/tools/ascii',
+  category: 'tools',
+  summary: 'ASCII Art',
+  description: 'Generate ASCII art',
+  icon: 'fa-font',
+  cache: CACHE_TTL,
+  params: {
+    text: { type: 'string', required: true, maxLength: 22, description: 'Text to render', example: 'HELLO' },
+    font: { type: 'string', default: 'standard', description: 'Font name', example: 'standard' }
+  },
+  response: { text: 'string', font: 'string', asciiArt: 'string', note: 'string' },
+  errorMessage: 'Failed to generate ASCII art',
+  handler: async (req, res) => {
+    const { text, font } = req.input;
     
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "text" is required'
-      });
-    }
-
     // Simple ASCII art (mock)
     const asciiArt = `
     \u2554\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2557
@@ -1704,28 +3413,26 @@ app.get('/tools/ascii', cacheMiddleware, async (req, res) => {
       note: 'This is demo ASCII art. Real ASCII art requires specialized libraries.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate ASCII art',
-      message: error.message
-    });
   }
 });
 
-app.get('/tools/morse', cacheMiddleware, async (req, res) => {
-  try {
-    const { text, action = 'encode' } = req.query;
+defineEndpoint({
+  path: '/tools/morse',
+  category: 'tools',
+  summary: 'Morse Code',
+  description: 'Convert to/from morse code',
+  icon: 'fa-broadcast-tower',
+  cache: CACHE_TTL,
+  params: {
+    text: { type: 'string', required: true, description: 'Text or morse code', example: 'SOS' },
+    action: { type: 'string', default: 'encode', enum: ['encode', 'decode'], description: 'Direction of the conversion', example: 'encode' }
+  },
+  response: { text: 'string', action: 'string', result: 'string' },
+  errorMessage: 'Failed to process morse code',
+  handler: async (req, res) => {
+    const { text, action } = req.input;
     
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "text" is required'
-      });
-    }
-
     const morseCode = {
       'A': '.-', 'B': '-...', 'C': '-.-.', 'D': '-..', 'E': '.', 'F': '..-.',
       'G': '--.', 'H': '....', 'I': '..', 'J': '.---', 'K': '-.-', 'L': '.-..',
@@ -1755,26 +3462,28 @@ app.get('/tools/morse', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process morse code',
-      message: error.message
-    });
   }
 });
 
-app.get('/tools/roman', cacheMiddleware, async (req, res) => {
-  try {
-    const { number, action = 'toRoman' } = req.query;
+defineEndpoint({
+  path: '/tools/roman',
+  category: 'tools',
+  summary: 'Roman Numerals',
+  description: 'Convert to/from roman numerals',
+  icon: 'fa-monument',
+  cache: CACHE_TTL,
+  params: {
+    number: { type: 'string', required: true, description: 'Number to convert, or a roman numeral with action=fromRoman', example: '2024' },
+    action: { type: 'string', default: 'toRoman', enum: ['toRoman', 'fromRoman'], description: 'Direction of the conversion', example: 'toRoman' }
+  },
+  response: { number: 'string', action: 'string', result: 'any' },
+  errorMessage: 'Failed to convert roman numerals',
+  handler: async (req, res) => {
+    const { number, action } = req.input;
     
     if (!number || isNaN(number)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "number" is required and must be a number'
-      });
+      return sendError(res, 'INVALID_PARAMETER', 'Parameter "number" must be a number', { param: 'number' });
     }
     
     let result;
@@ -1794,14 +3503,7 @@ app.get('/tools/roman', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to convert roman numerals',
-      message: error.message
-    });
   }
 });
 
@@ -1841,9 +3543,24 @@ function fromRoman(roman) {
 // RANDOM APIS (8 endpoints)
 // ============================================
 
-app.get('/random/anime', cacheMiddleware, async (req, res) => {
-  try {
-    const { genre, limit = 5 } = req.query;
+defineEndpoint({
+  path: '/random/anime',
+  category: 'random',
+  summary: 'Random Anime',
+  description: 'Get random anime recommendations',
+  icon: 'fa-tv',
+  params: {
+    genre: { type: 'string', description: 'Filter by genre', example: 'action' },
+    limit: { type: 'integer', default: 5, minimum: 1, maximum: 8, description: 'Maximum number of results', example: 5 }
+  },
+  response: {
+    genre: 'string',
+    count: 'integer',
+    animes: [{ title: 'string', genre: 'string', year: 'integer', rating: 'number' }]
+  },
+  errorMessage: 'Failed to get random anime',
+  handler: async (req, res) => {
+    const { genre, limit } = req.input;
     
     const animes = [
       { title: 'Attack on Titan', genre: 'Action', year: 2013, rating: 9.0 },
@@ -1862,7 +3579,7 @@ app.get('/random/anime', cacheMiddleware, async (req, res) => {
     }
     
     const shuffled = filtered.sort(() => 0.5 - Math.random());
-    const selected = shuffled.slice(0, Math.min(parseInt(limit), filtered.length));
+    const selected = shuffled.slice(0, Math.min(limit, filtered.length));
     
     const data = {
       success: true,
@@ -1874,20 +3591,26 @@ app.get('/random/anime', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get random anime',
-      message: error.message
-    });
   }
 });
 
-app.get('/random/movie', cacheMiddleware, async (req, res) => {
-  try {
-    const { genre, year } = req.query;
+defineEndpoint({
+  path: '/random/movie',
+  category: 'random',
+  summary: 'Random Movie',
+  description: 'Get random movie suggestions',
+  icon: 'fa-film',
+  params: {
+    genre: { type: 'string', description: 'Filter by genre', example: 'comedy' },
+    year: { type: 'integer', description: 'Filter by release year', example: 2020 }
+  },
+  response: {
+    movie: { title: 'string', genre: 'string', year: 'integer', rating: 'number', director: 'string' }
+  },
+  errorMessage: 'Failed to get random movie',
+  handler: async (req, res) => {
+    const { genre, year } = req.input;
     
     const movies = [
       { title: 'Inception', genre: 'Sci-Fi', year: 2010, rating: 8.8, director: 'Christopher Nolan' },
@@ -1905,7 +3628,7 @@ app.get('/random/movie', cacheMiddleware, async (req, res) => {
       filtered = filtered.filter(movie => movie.genre.toLowerCase().includes(genre.toLowerCase()));
     }
     if (year) {
-      filtered = filtered.filter(movie => movie.year === parseInt(year));
+      filtered = filtered.filter(movie => movie.year === year);
     }
     
     const selected = filtered[Math.floor(Math.random() * filtered.length)];
@@ -1918,25 +3641,28 @@ app.get('/random/movie', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get random movie',
-      message: error.message
-    });
   }
 });
 
-app.get('/random/quote', cacheMiddleware, async (req, res) => {
-  try {
-    const { category } = req.query;
+defineEndpoint({
+  path: '/random/quote',
+  category: 'random',
+  summary: 'Random Quote',
+  description: 'Get inspirational quotes',
+  icon: 'fa-quote-left',
+  params: {
+    category: { type: 'string', enum: ['motivational', 'business', 'life', 'philosophical', 'wisdom'], description: 'Filter by category', example: 'motivational' }
+  },
+  response: { quote: { text: 'string', author: 'string', category: 'string' } },
+  errorMessage: 'Failed to get random quote',
+  handler: async (req, res) => {
+    const { category } = req.input;
     
     const quotes = [
       { text: 'The only way to do great work is to love what you do.', author: 'Steve Jobs', category: 'motivational' },
       { text: 'Innovation distinguishes between a leader and a follower.', author: 'Steve Jobs', category: 'business' },
-      { text: 'Life is what happens when you're busy making other plans.', author: 'John Lennon', category: 'life' },
+      { text: 'Life is what happens when you\'re busy making other plans.', author: 'John Lennon', category: 'life' },
       { text: 'The future belongs to those who believe in the beauty of their dreams.', author: 'Eleanor Roosevelt', category: 'motivational' },
       { text: 'It is during our darkest moments that we must focus to see the light.', author: 'Aristotle', category: 'philosophical' },
       { text: 'The best time to plant a tree was 20 years ago. The second best time is now.', author: 'Chinese Proverb', category: 'wisdom' },
@@ -1959,27 +3685,30 @@ app.get('/random/quote', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get random quote',
-      message: error.message
-    });
   }
 });
 
-app.get('/random/joke', cacheMiddleware, async (req, res) => {
-  try {
-    const { type } = req.query;
+defineEndpoint({
+  path: '/random/joke',
+  category: 'random',
+  summary: 'Random Joke',
+  description: 'Get random jokes',
+  icon: 'fa-laugh',
+  params: {
+    type: { type: 'string', enum: ['programming', 'technology', 'general', 'science', 'education', 'food'], description: 'Filter by joke type', example: 'programming' }
+  },
+  response: { joke: { setup: 'string', punchline: 'string', type: 'string' } },
+  errorMessage: 'Failed to get random joke',
+  handler: async (req, res) => {
+    const { type } = req.input;
     
     const jokes = [
       { setup: 'Why do programmers prefer dark mode?', punchline: 'Because light attracts bugs.', type: 'programming' },
-      { setup: 'Why do Java developers wear glasses?', punchline: 'Because they don't see sharp.', type: 'programming' },
+      { setup: 'Why do Java developers wear glasses?', punchline: 'Because they don\'t see sharp.', type: 'programming' },
       { setup: 'Why was the computer cold?', punchline: 'It left its Windows open.', type: 'technology' },
       { setup: 'Why did the scarecrow win an award?', punchline: 'He was outstanding in his field.', type: 'general' },
-      { setup: 'Why don't scientists trust atoms?', punchline: 'Because they make up everything.', type: 'science' },
+      { setup: 'Why don\'t scientists trust atoms?', punchline: 'Because they make up everything.', type: 'science' },
       { setup: 'What do you call a bear with no teeth?', punchline: 'A gummy bear.', type: 'general' },
       { setup: 'Why did the math book look so sad?', punchline: 'Because it had too many problems.', type: 'education' },
       { setup: 'What do you call a fake noodle?', punchline: 'An impasta.', type: 'food' }
@@ -2000,28 +3729,31 @@ app.get('/random/joke', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get random joke',
-      message: error.message
-    });
   }
 });
 
-app.get('/random/fact', cacheMiddleware, async (req, res) => {
-  try {
-    const { category } = req.query;
+defineEndpoint({
+  path: '/random/fact',
+  category: 'random',
+  summary: 'Random Fact',
+  description: 'Get interesting facts',
+  icon: 'fa-lightbulb',
+  params: {
+    category: { type: 'string', enum: ['science', 'nature', 'space', 'history', 'myth'], description: 'Filter by category', example: 'science' }
+  },
+  response: { fact: { text: 'string', category: 'string' } },
+  errorMessage: 'Failed to get random fact',
+  handler: async (req, res) => {
+    const { category } = req.input;
     
     const facts = [
       { text: 'Honey never spoils. Archaeologists have found pots of honey in ancient Egyptian tombs that are over 3,000 years old and still perfectly edible.', category: 'science' },
       { text: 'Octopuses have three hearts and blue blood.', category: 'nature' },
       { text: 'A day on Venus is longer than a year on Venus.', category: 'space' },
-      { text: 'Bananas are berries, but strawberries aren't.', category: 'science' },
+      { text: 'Bananas are berries, but strawberries aren\'t.', category: 'science' },
       { text: 'The shortest war in history was between Britain and Zanzibar on August 27, 1896. Zanzibar surrendered after 38 minutes.', category: 'history' },
-      { text: 'There are more stars in the universe than grains of sand on all the Earth's beaches.', category: 'space' },
+      { text: 'There are more stars in the universe than grains of sand on all the Earth\'s beaches.', category: 'space' },
       { text: 'A group of flamingos is called a "flamboyance."', category: 'nature' },
       { text: 'The Great Wall of China is not visible from space with the naked eye, contrary to popular belief.', category: 'myth' }
     ];
@@ -2041,20 +3773,28 @@ app.get('/random/fact', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get random fact',
-      message: error.message
-    });
   }
 });
 
-app.get('/random/word', cacheMiddleware, async (req, res) => {
-  try {
-    const { type, count = 5 } = req.query;
+defineEndpoint({
+  path: '/random/word',
+  category: 'random',
+  summary: 'Random Word',
+  description: 'Generate random words',
+  icon: 'fa-spell-check',
+  params: {
+    type: { type: 'string', enum: ['noun', 'verb', 'adjective', 'all'], description: 'Part of speech', example: 'noun' },
+    count: { type: 'integer', default: 5, minimum: 1, maximum: 5, description: 'Number of words', example: 5 }
+  },
+  response: {
+    type: 'string',
+    words: [{ word: 'string', definition: 'string', partOfSpeech: 'string' }],
+    note: 'string'
+  },
+  errorMessage: 'Failed to get random words',
+  handler: async (req, res) => {
+    const { type, count } = req.input;
     
     const words = {
       noun: ['serendipity', 'ephemeral', 'quintessential', 'perseverance', 'mellifluous'],
@@ -2065,7 +3805,7 @@ app.get('/random/word', cacheMiddleware, async (req, res) => {
     
     const wordList = words[type] || words.all;
     const shuffled = wordList.sort(() => 0.5 - Math.random());
-    const selected = shuffled.slice(0, Math.min(parseInt(count), wordList.length));
+    const selected = shuffled.slice(0, Math.min(count, wordList.length));
     
     const data = {
       success: true,
@@ -2081,20 +3821,28 @@ app.get('/random/word', cacheMiddleware, async (req, res) => {
       note: 'Demo words. Real definitions would require dictionary API.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get random words',
-      message: error.message
-    });
   }
 });
 
-app.get('/random/color', cacheMiddleware, async (req, res) => {
-  try {
-    const { format, count = 3 } = req.query;
+defineEndpoint({
+  path: '/random/color',
+  category: 'random',
+  summary: 'Random Color',
+  description: 'Generate random colors',
+  icon: 'fa-paint-brush',
+  params: {
+    format: { type: 'string', default: 'hex', enum: ['hex', 'rgb', 'hsl'], description: 'Output color format', example: 'hex' },
+    count: { type: 'integer', default: 3, minimum: 1, maximum: 10, description: 'Number of colors', example: 3 }
+  },
+  response: {
+    format: 'string',
+    count: 'integer',
+    colors: [{ r: 'integer', g: 'integer', b: 'integer', formatted: 'string', format: 'string' }]
+  },
+  errorMessage: 'Failed to generate random colors',
+  handler: async (req, res) => {
+    const { format, count } = req.input;
     
     const generateRandomColor = () => {
       const r = Math.floor(Math.random() * 256);
@@ -2103,7 +3851,7 @@ app.get('/random/color', cacheMiddleware, async (req, res) => {
       return { r, g, b };
     };
     
-    const colors = Array.from({ length: Math.min(parseInt(count), 10) }, () => {
+    const colors = Array.from({ length: count }, () => {
       const color = generateRandomColor();
       let formatted;
       
@@ -2139,14 +3887,7 @@ app.get('/random/color', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate random colors',
-      message: error.message
-    });
   }
 });
 
@@ -2179,19 +3920,29 @@ function rgbToHsl(r, g, b) {
   };
 }
 
-app.get('/random/number', cacheMiddleware, async (req, res) => {
-  try {
-    const { min = '1', max = '100', count = 5 } = req.query;
-    
-    const minVal = parseInt(min);
-    const maxVal = parseInt(max);
-    const countVal = Math.min(parseInt(count), 20);
+defineEndpoint({
+  path: '/random/number',
+  category: 'random',
+  summary: 'Random Number',
+  description: 'Generate random numbers',
+  icon: 'fa-dice',
+  params: {
+    min: { type: 'integer', default: 1, description: 'Lowest possible number', example: 1 },
+    max: { type: 'integer', default: 100, description: 'Highest possible number, must be greater than min', example: 100 },
+    count: { type: 'integer', default: 5, minimum: 1, maximum: 20, description: 'Number of values', example: 5 }
+  },
+  response: {
+    range: { min: 'integer', max: 'integer' },
+    count: 'integer',
+    numbers: ['integer'],
+    statistics: { sum: 'integer', average: 'number', min: 'integer', max: 'integer' }
+  },
+  errorMessage: 'Failed to generate random numbers',
+  handler: async (req, res) => {
+    const { min: minVal, max: maxVal, count: countVal } = req.input;
     
     if (minVal >= maxVal) {
-      return res.status(400).json({
-        success: false,
-        error: 'Min must be less than max'
-      });
+      return sendError(res, 'INVALID_PARAMETER', 'Min must be less than max', { param: 'min' });
     }
     
     const numbers = Array.from({ length: countVal }, () => 
@@ -2214,34 +3965,37 @@ app.get('/random/number', cacheMiddleware, async (req, res) => {
       free: true
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate random numbers',
-      message: error.message
-    });
   }
 });
 
 // ============================================
 // SEARCH APIS (8 endpoints)
-// ============================================
-
-app.get('/search/youtube', cacheMiddleware, async (req, res) => {
-  try {
-    const { query, limit = 10 } = req.query;
-    
-    if (!query || query.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "query" is required'
-      });
-    }
+// ============================================
+
+defineEndpoint({
+  path: '/search/youtube',
+  category: 'search',
+  summary: 'YouTube Search',
+  description: 'Search YouTube videos',
+  icon: 'fa-youtube',
+  cache: CACHE_TTL,
+  params: {
+    query: { type: 'string', required: true, description: 'Search terms', example: 'cats' },
+    limit: { type: 'integer', default: 10, minimum: 1, maximum: 20, description: 'Maximum number of results', example: 10 }
+  },
+  response: {
+    query: 'string',
+    results: [{ id: 'string', title: 'string', channel: 'string', duration: 'string', views: 'string', thumbnail: 'string', url: 'string', publishedAt: 'string' }],
+    total: 'integer',
+    note: 'string'
+  },
+  errorMessage: 'Failed to search YouTube',
+  handler: async (req, res) => {
+    const { query, limit } = req.input;
     
     // Mock YouTube search results
-    const videos = Array.from({ length: Math.min(parseInt(limit), 20) }, (_, i) => ({
+    const videos = Array.from({ length: limit }, (_, i) => ({
       id: `demo${i + 1}`,
       title: `Demo video about "${query}" - Part ${i + 1}`,
       channel: `Demo Channel ${i + 1}`,
@@ -2263,30 +4017,34 @@ app.get('/search/youtube', cacheMiddleware, async (req, res) => {
       note: 'This is demo data. Real YouTube search requires YouTube Data API.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to search YouTube',
-      message: error.message
-    });
   }
 });
 
-app.get('/search/google', cacheMiddleware, async (req, res) => {
-  try {
-    const { query, limit = 10 } = req.query;
-    
-    if (!query || query.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "query" is required'
-      });
-    }
+defineEndpoint({
+  path: '/search/google',
+  category: 'search',
+  summary: 'Google Search',
+  description: 'Search Google results',
+  icon: 'fa-google',
+  cache: CACHE_TTL,
+  params: {
+    query: { type: 'string', required: true, description: 'Search terms', example: 'artificial intelligence' },
+    limit: { type: 'integer', default: 10, minimum: 1, maximum: 10, description: 'Maximum number of results', example: 10 }
+  },
+  response: {
+    query: 'string',
+    results: [{ title: 'string', url: 'string', description: 'string', snippet: 'string', cached: 'boolean' }],
+    total: 'integer',
+    searchTime: 'string',
+    note: 'string'
+  },
+  errorMessage: 'Failed to search Google',
+  handler: async (req, res) => {
+    const { query, limit } = req.input;
     
     // Mock Google search results
-    const results = Array.from({ length: Math.min(parseInt(limit), 10) }, (_, i) => ({
+    const results = Array.from({ length: limit }, (_, i) => ({
       title: `Demo Result ${i + 1} for "${query}"`,
       url: `https://example${i + 1}.com/${query.replace(/\s+/g, '-')}`,
       description: `This is a demo search result for "${query}". Real search results would require Google Search API integration.`,
@@ -2306,30 +4064,33 @@ app.get('/search/google', cacheMiddleware, async (req, res) => {
       note: 'This is demo data. Real Google search requires Custom Search API.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to search Google',
-      message: error.message
-    });
   }
 });
 
-app.get('/search/image', cacheMiddleware, async (req, res) => {
-  try {
-    const { query, limit = 20 } = req.query;
-    
-    if (!query || query.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "query" is required'
-      });
-    }
+defineEndpoint({
+  path: '/search/image',
+  category: 'search',
+  summary: 'Image Search',
+  description: 'Search for images',
+  icon: 'fa-image',
+  cache: CACHE_TTL,
+  params: {
+    query: { type: 'string', required: true, description: 'Search terms', example: 'nature' },
+    limit: { type: 'integer', default: 20, minimum: 1, maximum: 30, description: 'Maximum number of results', example: 20 }
+  },
+  response: {
+    query: 'string',
+    images: [{ url: 'string', thumbnail: 'string', title: 'string', width: 'integer', height: 'integer', size: 'string', source: 'string' }],
+    total: 'integer',
+    note: 'string'
+  },
+  errorMessage: 'Failed to search images',
+  handler: async (req, res) => {
+    const { query, limit } = req.input;
     
     // Mock image search results
-    const images = Array.from({ length: Math.min(parseInt(limit), 30) }, (_, i) => ({
+    const images = Array.from({ length: limit }, (_, i) => ({
       url: `https://picsum.photos/seed/${query}${i}/400/300.jpg`,
       thumbnail: `https://picsum.photos/seed/${query}${i}/150/150.jpg`,
       title: `Demo image of ${query} - ${i + 1}`,
@@ -2350,20 +4111,31 @@ app.get('/search/image', cacheMiddleware, async (req, res) => {
       note: 'This is demo data. Real image search requires image search API.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to search images',
-      message: error.message
-    });
   }
 });
 
-app.get('/search/news', cacheMiddleware, async (req, res) => {
-  try {
-    const { query, category } = req.query;
+defineEndpoint({
+  path: '/search/news',
+  category: 'search',
+  summary: 'News Search',
+  description: 'Search news articles',
+  icon: 'fa-newspaper',
+  cache: CACHE_TTL,
+  params: {
+    query: { type: 'string', description: 'Search terms', example: 'technology' },
+    category: { type: 'string', description: 'News category', example: 'tech' }
+  },
+  response: {
+    query: 'string',
+    category: 'string',
+    articles: [{ title: 'string', description: 'string', url: 'string', source: 'string', author: 'string', publishedAt: 'string', category: 'string', image: 'string' }],
+    total: 'integer',
+    note: 'string'
+  },
+  errorMessage: 'Failed to search news',
+  handler: async (req, res) => {
+    const { query, category } = req.input;
     
     // Mock news search results
     const articles = Array.from({ length: 10 }, (_, i) => ({
@@ -2389,20 +4161,31 @@ app.get('/search/news', cacheMiddleware, async (req, res) => {
       note: 'This is demo data. Real news requires news API integration.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to search news',
-      message: error.message
-    });
   }
 });
 
-app.get('/search/book', cacheMiddleware, async (req, res) => {
-  try {
-    const { title, author, genre } = req.query;
+defineEndpoint({
+  path: '/search/book',
+  category: 'search',
+  summary: 'Book Search',
+  description: 'Search for books',
+  icon: 'fa-book',
+  cache: CACHE_TTL,
+  params: {
+    title: { type: 'string', description: 'Book title', example: 'JavaScript' },
+    author: { type: 'string', description: 'Author name' },
+    genre: { type: 'string', description: 'Book genre', example: 'programming' }
+  },
+  response: {
+    search: { title: 'string', author: 'string', genre: 'string' },
+    books: [{ title: 'string', author: 'string', genre: 'string', year: 'integer', isbn: 'string', description: 'string', rating: 'string', pages: 'integer', cover: 'string' }],
+    total: 'integer',
+    note: 'string'
+  },
+  errorMessage: 'Failed to search books',
+  handler: async (req, res) => {
+    const { title, author, genre } = req.input;
     
     // Mock book search results
     const books = Array.from({ length: 10 }, (_, i) => ({
@@ -2428,20 +4211,30 @@ app.get('/search/book', cacheMiddleware, async (req, res) => {
       note: 'This is demo data. Real book search requires Google Books API or similar.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to search books',
-      message: error.message
-    });
   }
 });
 
-app.get('/search/recipe', cacheMiddleware, async (req, res) => {
-  try {
-    const { ingredients, cuisine } = req.query;
+defineEndpoint({
+  path: '/search/recipe',
+  category: 'search',
+  summary: 'Recipe Search',
+  description: 'Find recipes',
+  icon: 'fa-utensils',
+  cache: CACHE_TTL,
+  params: {
+    ingredients: { type: 'string', description: 'Main ingredient', example: 'chicken' },
+    cuisine: { type: 'string', description: 'Cuisine', example: 'italian' }
+  },
+  response: {
+    search: { ingredients: 'string', cuisine: 'string' },
+    recipes: [{ title: 'string', description: 'string', ingredients: ['string'], instructions: 'string', prepTime: 'string', cookTime: 'string', servings: 'integer', difficulty: 'string', cuisine: 'string', image: 'string' }],
+    total: 'integer',
+    note: 'string'
+  },
+  errorMessage: 'Failed to search recipes',
+  handler: async (req, res) => {
+    const { ingredients, cuisine } = req.input;
     
     // Mock recipe search results
     const recipes = Array.from({ length: 10 }, (_, i) => ({
@@ -2472,20 +4265,31 @@ Real recipes would require recipe API integration.`,
       note: 'This is demo data. Real recipes require recipe API integration.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to search recipes',
-      message: error.message
-    });
   }
 });
 
-app.get('/search/product', cacheMiddleware, async (req, res) => {
-  try {
-    const { query, category, priceRange } = req.query;
+defineEndpoint({
+  path: '/search/product',
+  category: 'search',
+  summary: 'Product Search',
+  description: 'Search products',
+  icon: 'fa-shopping-cart',
+  cache: CACHE_TTL,
+  params: {
+    query: { type: 'string', description: 'Search terms', example: 'laptop' },
+    category: { type: 'string', description: 'Product category', example: 'electronics' },
+    priceRange: { type: 'string', pattern: '^\\d*-\\d*$', description: 'Price range as min-max', example: '500-1000' }
+  },
+  response: {
+    search: { query: 'string', category: 'string', priceRange: 'string' },
+    products: [{ id: 'string', name: 'string', description: 'string', price: 'number', currency: 'string', category: 'string', brand: 'string', rating: 'string', reviews: 'integer', inStock: 'boolean', image: 'string', url: 'string' }],
+    total: 'integer',
+    note: 'string'
+  },
+  errorMessage: 'Failed to search products',
+  handler: async (req, res) => {
+    const { query, category, priceRange } = req.input;
     
     // Parse price range
     let minPrice = 0, maxPrice = 1000;
@@ -2525,23 +4329,33 @@ app.get('/search/product', cacheMiddleware, async (req, res) => {
       note: 'This is demo data. Real products require e-commerce API integration.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to search products',
-      message: error.message
-    });
   }
 });
 
-app.get('/search/meme', cacheMiddleware, async (req, res) => {
-  try {
-    const { category, limit = 10 } = req.query;
+defineEndpoint({
+  path: '/search/meme',
+  category: 'search',
+  summary: 'Meme Search',
+  description: 'Find trending memes',
+  icon: 'fa-laugh-beam',
+  cache: CACHE_TTL,
+  params: {
+    category: { type: 'string', description: 'Meme category', example: 'programming' },
+    limit: { type: 'integer', default: 10, minimum: 1, maximum: 20, description: 'Maximum number of results', example: 10 }
+  },
+  response: {
+    category: 'string',
+    memes: [{ id: 'string', name: 'string', url: 'string', caption: 'string', category: 'string', upvotes: 'integer', comments: 'integer', created: 'string' }],
+    total: 'integer',
+    note: 'string'
+  },
+  errorMessage: 'Failed to search memes',
+  handler: async (req, res) => {
+    const { category, limit } = req.input;
     
     // Mock meme search results
-    const memes = Array.from({ length: Math.min(parseInt(limit), 20) }, (_, i) => ({
+    const memes = Array.from({ length: limit }, (_, i) => ({
       id: `meme${i + 1}`,
       name: `Demo ${category || 'General'} Meme ${i + 1}`,
       url: `https://img.memecdn.com/demo${i + 1}.jpg`,
@@ -2563,14 +4377,7 @@ app.get('/search/meme', cacheMiddleware, async (req, res) => {
       note: 'This is demo data. Real memes require meme API integration.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to search memes',
-      message: error.message
-    });
   }
 });
 
@@ -2578,22 +4385,25 @@ app.get('/search/meme', cacheMiddleware, async (req, res) => {
 // DOWNLOAD APIS (8 endpoints)
 // ============================================
 
-app.get('/download/ytmp3', cacheMiddleware, async (req, res) => {
-  try {
-    const { url, quality = 'high' } = req.query;
-    
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
-    }
+defineEndpoint({
+  path: '/download/ytmp3',
+  category: 'download',
+  summary: 'YouTube to MP3',
+  description: 'Download YouTube audio',
+  icon: 'fa-download',
+  job: true,
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'YouTube video URL', example: 'https://youtube.com/watch?v=example' },
+    quality: { type: 'string', default: 'high', enum: ['high', 'low'], description: 'Audio quality', example: 'high' }
+  },
+  response: { url: 'string', downloadUrl: 'string', title: 'string', artist: 'string', duration: 'string', quality: 'string', size: 'string', format: 'string', bitrate: 'string', note: 'string' },
+  errorMessage: 'Failed to process YouTube download',
+  handler: async (req, res) => {
+    const { url, quality } = req.input;
     
     if (!url.includes('youtube.com') && !url.includes('youtu.be')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid YouTube URL'
-      });
+      return sendError(res, 'INVALID_URL', 'Invalid YouTube URL', { param: 'url' });
     }
     
     // Mock YouTube MP3 download response
@@ -2614,33 +4424,29 @@ app.get('/download/ytmp3', cacheMiddleware, async (req, res) => {
       note: 'This is a demo download. Real YouTube download requires ytdl-core or similar.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process YouTube download',
-      message: error.message
-    });
   }
 });
 
-app.get('/download/ytmp4', cacheMiddleware, async (req, res) => {
-  try {
-    const { url, quality = '1080p' } = req.query;
-    
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
-    }
+defineEndpoint({
+  path: '/download/ytmp4',
+  category: 'download',
+  summary: 'YouTube to MP4',
+  description: 'Download YouTube video',
+  icon: 'fa-video',
+  job: true,
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'YouTube video URL', example: 'https://youtube.com/watch?v=example' },
+    quality: { type: 'string', default: '1080p', enum: ['1080p', '720p', '480p', '360p'], description: 'Video resolution', example: '1080p' }
+  },
+  response: { url: 'string', downloadUrl: 'string', title: 'string', duration: 'string', quality: 'string', size: 'string', format: 'string', resolution: 'string', fps: 'integer', note: 'string' },
+  errorMessage: 'Failed to process YouTube download',
+  handler: async (req, res) => {
+    const { url, quality } = req.input;
     
     if (!url.includes('youtube.com') && !url.includes('youtu.be')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid YouTube URL'
-      });
+      return sendError(res, 'INVALID_URL', 'Invalid YouTube URL', { param: 'url' });
     }
     
     // Mock YouTube MP4 download response
@@ -2661,33 +4467,28 @@ app.get('/download/ytmp4', cacheMiddleware, async (req, res) => {
       note: 'This is a demo download. Real YouTube download requires ytdl-core or similar.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process YouTube download',
-      message: error.message
-    });
   }
 });
 
-app.get('/download/instagram', cacheMiddleware, async (req, res) => {
-  try {
-    const { url } = req.query;
-    
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
-    }
+defineEndpoint({
+  path: '/download/instagram',
+  category: 'download',
+  summary: 'Instagram Downloader',
+  description: 'Download Instagram posts',
+  icon: 'fa-instagram',
+  job: true,
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'Instagram post URL', example: 'https://instagram.com/p/example' }
+  },
+  response: { url: 'string', downloadUrl: 'string', mediaType: 'string', caption: 'string', author: 'string', likes: 'integer', comments: 'integer', note: 'string' },
+  errorMessage: 'Failed to process Instagram download',
+  handler: async (req, res) => {
+    const { url } = req.input;
     
     if (!url.includes('instagram.com')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Instagram URL'
-      });
+      return sendError(res, 'INVALID_URL', 'Invalid Instagram URL', { param: 'url' });
     }
     
     // Mock Instagram download response
@@ -2703,650 +4504,1510 @@ app.get('/download/instagram', cacheMiddleware, async (req, res) => {
       timestamp: new Date().toISOString(),
       premium: true,
       free: true,
-      note: 'This is a demo download. Real Instagram download requires specialized API.'
+      note: 'This is a demo download. Real Instagram download requires specialized API.'
+    };
+    
+    res.json(data);
+  }
+});
+
+defineEndpoint({
+  path: '/download/tiktok',
+  category: 'download',
+  summary: 'TikTok Downloader',
+  description: 'Download TikTok videos',
+  icon: 'fa-tiktok',
+  job: true,
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'TikTok video URL', example: 'https://tiktok.com/@user/video/example' }
+  },
+  response: { url: 'string', downloadUrl: 'string', description: 'string', author: 'string', music: 'string', views: 'integer', likes: 'integer', shares: 'integer', duration: 'string', note: 'string' },
+  errorMessage: 'Failed to process TikTok download',
+  handler: async (req, res) => {
+    const { url } = req.input;
+    
+    if (!url.includes('tiktok.com')) {
+      return sendError(res, 'INVALID_URL', 'Invalid TikTok URL', { param: 'url' });
+    }
+    
+    // Mock TikTok download response
+    const data = {
+      success: true,
+      url: url,
+      downloadUrl: `https://demo-download.com/tiktok/${Math.random().toString(36).substring(2)}.mp4`,
+      description: 'Demo TikTok video description',
+      author: 'Demo TikTok User',
+      music: 'Demo TikTok Sound',
+      views: Math.floor(Math.random() * 1000000),
+      likes: Math.floor(Math.random() * 100000),
+      shares: Math.floor(Math.random() * 10000),
+      duration: '15s',
+      timestamp: new Date().toISOString(),
+      premium: true,
+      free: true,
+      note: 'This is a demo download. Real TikTok download requires specialized API.'
+    };
+    
+    res.json(data);
+  }
+});
+
+defineEndpoint({
+  path: '/download/facebook',
+  category: 'download',
+  summary: 'Facebook Video',
+  description: 'Download Facebook videos',
+  icon: 'fa-facebook',
+  job: true,
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'Facebook video URL', example: 'https://facebook.com/video/example' }
+  },
+  response: { url: 'string', downloadUrl: 'string', description: 'string', author: 'string', views: 'integer', reactions: 'integer', shares: 'integer', duration: 'string', note: 'string' },
+  errorMessage: 'Failed to process Facebook download',
+  handler: async (req, res) => {
+    const { url } = req.input;
+    
+    if (!url.includes('facebook.com')) {
+      return sendError(res, 'INVALID_URL', 'Invalid Facebook URL', { param: 'url' });
+    }
+    
+    // Mock Facebook download response
+    const data = {
+      success: true,
+      url: url,
+      downloadUrl: `https://demo-download.com/facebook/${Math.random().toString(36).substring(2)}.mp4`,
+      description: 'Demo Facebook video description',
+      author: 'Demo Facebook Page',
+      views: Math.floor(Math.random() * 500000),
+      reactions: Math.floor(Math.random() * 10000),
+      shares: Math.floor(Math.random() * 1000),
+      duration: '2:30',
+      timestamp: new Date().toISOString(),
+      premium: true,
+      free: true,
+      note: 'This is a demo download. Real Facebook download requires specialized API.'
+    };
+    
+    res.json(data);
+  }
+});
+
+defineEndpoint({
+  path: '/download/twitter',
+  category: 'download',
+  summary: 'Twitter Video',
+  description: 'Download Twitter videos',
+  icon: 'fa-twitter',
+  job: true,
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'Twitter/X post URL', example: 'https://twitter.com/user/status/example' }
+  },
+  response: { url: 'string', downloadUrl: 'string', text: 'string', author: 'string', retweets: 'integer', likes: 'integer', replies: 'integer', note: 'string' },
+  errorMessage: 'Failed to process Twitter download',
+  handler: async (req, res) => {
+    const { url } = req.input;
+    
+    if (!url.includes('twitter.com') && !url.includes('x.com')) {
+      return sendError(res, 'INVALID_URL', 'Invalid Twitter/X URL', { param: 'url' });
+    }
+    
+    // Mock Twitter download response
+    const data = {
+      success: true,
+      url: url,
+      downloadUrl: `https://demo-download.com/twitter/${Math.random().toString(36).substring(2)}.mp4`,
+      text: 'Demo Twitter post text with #hashtags @mentions',
+      author: 'Demo Twitter User',
+      retweets: Math.floor(Math.random() * 1000),
+      likes: Math.floor(Math.random() * 5000),
+      replies: Math.floor(Math.random() * 500),
+      timestamp: new Date().toISOString(),
+      premium: true,
+      free: true,
+      note: 'This is a demo download. Real Twitter download requires specialized API.'
+    };
+    
+    res.json(data);
+  }
+});
+
+defineEndpoint({
+  path: '/download/soundcloud',
+  category: 'download',
+  summary: 'SoundCloud Downloader',
+  description: 'Download SoundCloud tracks',
+  icon: 'fa-soundcloud',
+  job: true,
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'SoundCloud track URL', example: 'https://soundcloud.com/artist/track' }
+  },
+  response: { url: 'string', downloadUrl: 'string', title: 'string', artist: 'string', genre: 'string', duration: 'string', plays: 'integer', likes: 'integer', reposts: 'integer', quality: 'string', note: 'string' },
+  errorMessage: 'Failed to process SoundCloud download',
+  handler: async (req, res) => {
+    const { url } = req.input;
+    
+    if (!url.includes('soundcloud.com')) {
+      return sendError(res, 'INVALID_URL', 'Invalid SoundCloud URL', { param: 'url' });
+    }
+    
+    // Mock SoundCloud download response
+    const data = {
+      success: true,
+      url: url,
+      downloadUrl: `https://demo-download.com/soundcloud/${Math.random().toString(36).substring(2)}.mp3`,
+      title: 'Demo SoundCloud Track',
+      artist: 'Demo SoundCloud Artist',
+      genre: 'Electronic',
+      duration: '4:20',
+      plays: Math.floor(Math.random() * 100000),
+      likes: Math.floor(Math.random() * 10000),
+      reposts: Math.floor(Math.random() * 1000),
+      quality: '128kbps',
+      timestamp: new Date().toISOString(),
+      premium: true,
+      free: true,
+      note: 'This is a demo download. Real SoundCloud download requires specialized API.'
+    };
+    
+    res.json(data);
+  }
+});
+
+defineEndpoint({
+  path: '/download/spotify',
+  category: 'download',
+  summary: 'Spotify Downloader',
+  description: 'Download Spotify tracks',
+  icon: 'fa-spotify',
+  job: true,
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'Spotify track URL', example: 'https://open.spotify.com/track/example' }
+  },
+  response: { url: 'string', downloadUrl: 'string', title: 'string', artist: 'string', album: 'string', duration: 'string', popularity: 'integer', danceability: 'string', energy: 'string', valence: 'string', quality: 'string', note: 'string' },
+  errorMessage: 'Failed to process Spotify download',
+  handler: async (req, res) => {
+    const { url } = req.input;
+    
+    if (!url.includes('open.spotify.com')) {
+      return sendError(res, 'INVALID_URL', 'Invalid Spotify URL', { param: 'url' });
+    }
+    
+    // Mock Spotify download response
+    const data = {
+      success: true,
+      url: url,
+      downloadUrl: `https://demo-download.com/spotify/${Math.random().toString(36).substring(2)}.mp3`,
+      title: 'Demo Spotify Track',
+      artist: 'Demo Spotify Artist',
+      album: 'Demo Spotify Album',
+      duration: '3:30',
+      popularity: Math.floor(Math.random() * 100),
+      danceability: (Math.random()).toFixed(2),
+      energy: (Math.random()).toFixed(2),
+      valence: (Math.random()).toFixed(2),
+      quality: '320kbps',
+      timestamp: new Date().toISOString(),
+      premium: true,
+      free: true,
+      note: 'This is a demo download. Real Spotify download requires Spotify API and conversion.'
+    };
+    
+    res.json(data);
+  }
+});
+
+// ============================================
+// IMAGE APIS (5 endpoints)
+// ============================================
+
+defineEndpoint({
+  path: '/image/resize',
+  category: 'image',
+  summary: 'Image Resize',
+  description: 'Resize images online',
+  icon: 'fa-expand',
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'Image URL', example: 'https://example.com/image.jpg' },
+    width: { type: 'integer', required: true, minimum: 1, maximum: 5000, description: 'Target width in pixels', example: 800 },
+    height: { type: 'integer', required: true, minimum: 1, maximum: 5000, description: 'Target height in pixels', example: 600 }
+  },
+  response: {
+    original: { url: 'string', size: 'string' },
+    resized: { url: 'string', width: 'integer', height: 'integer', size: 'string' },
+    note: 'string'
+  },
+  errorMessage: 'Failed to resize image',
+  handler: async (req, res) => {
+    const { url, width, height } = req.input;
+    
+    const resizedUrl = `https://picsum.photos/${width}/${height}?random=${Math.random()}`;
+    
+    const data = {
+      success: true,
+      original: {
+        url: url,
+        size: 'Original size would be detected with image processing'
+      },
+      resized: {
+        url: resizedUrl,
+        width: width,
+        height: height,
+        size: `${Math.floor(width * height / 1000)} KB (estimated)`
+      },
+      timestamp: new Date().toISOString(),
+      premium: true,
+      free: true,
+      note: 'This is a demo resize. Real image resizing requires sharp or jimp library.'
+    };
+    
+    res.json(data);
+  }
+});
+
+defineEndpoint({
+  path: '/image/convert',
+  category: 'image',
+  summary: 'Image Convert',
+  description: 'Convert image formats',
+  icon: 'fa-exchange-alt',
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'Image URL', example: 'https://example.com/image.jpg' },
+    format: { type: 'string', required: true, enum: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp'], description: 'Target format', example: 'png' }
+  },
+  response: {
+    original: { url: 'string', format: 'string' },
+    converted: { url: 'string', format: 'string', size: 'string' },
+    note: 'string'
+  },
+  errorMessage: 'Failed to convert image',
+  handler: async (req, res) => {
+    const { url, format } = req.input;
+    
+    const convertedUrl = `https://picsum.photos/400/300?random=${Math.random()}.${format}`;
+    
+    const data = {
+      success: true,
+      original: {
+        url: url,
+        format: 'detected format would go here'
+      },
+      converted: {
+        url: convertedUrl,
+        format: format.toLowerCase(),
+        size: 'Converted size would be calculated'
+      },
+      timestamp: new Date().toISOString(),
+      premium: true,
+      free: true,
+      note: 'This is a demo conversion. Real image conversion requires sharp or jimp library.'
+    };
+    
+    res.json(data);
+  }
+});
+
+defineEndpoint({
+  path: '/image/compress',
+  category: 'image',
+  summary: 'Image Compress',
+  description: 'Compress image sizes',
+  icon: 'fa-compress',
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'Image URL', example: 'https://example.com/image.jpg' },
+    quality: { type: 'integer', default: 80, minimum: 1, maximum: 100, description: 'Output quality in percent', example: 80 }
+  },
+  response: {
+    original: { url: 'string', size: 'string', estimatedPixels: 'string' },
+    compressed: { url: 'string', size: 'string', quality: 'string', compressionRatio: 'string' },
+    savings: 'string',
+    note: 'string'
+  },
+  errorMessage: 'Failed to compress image',
+  handler: async (req, res) => {
+    const { url, quality } = req.input;
+    
+    const originalSize = Math.floor(Math.random() * 5000 + 1000);
+    const compressedSize = Math.floor(originalSize * (quality / 100));
+    const savings = originalSize - compressedSize;
+    
+    const data = {
+      success: true,
+      original: {
+        url: url,
+        size: `${originalSize} KB`,
+        estimatedPixels: '1920x1080'
+      },
+      compressed: {
+        url: `https://picsum.photos/400/300?random=${Math.random()}`,
+        size: `${compressedSize} KB`,
+        quality: `${quality}%`,
+        compressionRatio: `${((savings / originalSize) * 100).toFixed(1)}% smaller`
+      },
+      savings: `${savings} KB (${((savings / originalSize) * 100).toFixed(1)}%)`,
+      timestamp: new Date().toISOString(),
+      premium: true,
+      free: true,
+      note: 'This is a demo compression. Real compression requires sharp or imagemin library.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process Instagram download',
-      message: error.message
-    });
   }
 });
 
-app.get('/download/tiktok', cacheMiddleware, async (req, res) => {
-  try {
-    const { url } = req.query;
-    
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
-    }
+defineEndpoint({
+  path: '/image/filter',
+  category: 'image',
+  summary: 'Image Filter',
+  description: 'Apply filters to images',
+  icon: 'fa-magic',
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'Image URL', example: 'https://example.com/image.jpg' },
+    filter: { type: 'string', required: true, enum: ['grayscale', 'sepia', 'blur', 'sharpen', 'brightness', 'contrast', 'vintage', 'cold', 'warm'], description: 'Filter to apply', example: 'grayscale' }
+  },
+  response: {
+    original: { url: 'string' },
+    filtered: { url: 'string', filter: 'string', intensity: 'string' },
+    note: 'string'
+  },
+  errorMessage: 'Failed to apply filter',
+  handler: async (req, res) => {
+    const { url, filter } = req.input;
     
-    if (!url.includes('tiktok.com')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid TikTok URL'
-      });
-    }
+    const filteredUrl = `https://picsum.photos/400/300?random=${Math.random()}`;
     
-    // Mock TikTok download response
     const data = {
       success: true,
-      url: url,
-      downloadUrl: `https://demo-download.com/tiktok/${Math.random().toString(36).substring(2)}.mp4`,
-      description: 'Demo TikTok video description',
-      author: 'Demo TikTok User',
-      music: 'Demo TikTok Sound',
-      views: Math.floor(Math.random() * 1000000),
-      likes: Math.floor(Math.random() * 100000),
-      shares: Math.floor(Math.random() * 10000),
-      duration: '15s',
+      original: {
+        url: url
+      },
+      filtered: {
+        url: filteredUrl,
+        filter: filter.toLowerCase(),
+        intensity: '100%'
+      },
       timestamp: new Date().toISOString(),
       premium: true,
       free: true,
-      note: 'This is a demo download. Real TikTok download requires specialized API.'
+      note: 'This is a demo filter. Real filters require canvas, sharp, or image processing library.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process TikTok download',
-      message: error.message
-    });
   }
 });
 
-app.get('/download/facebook', cacheMiddleware, async (req, res) => {
-  try {
-    const { url } = req.query;
-    
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
-    }
-    
-    if (!url.includes('facebook.com')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Facebook URL'
-      });
-    }
+defineEndpoint({
+  path: '/image/metadata',
+  category: 'image',
+  summary: 'Image Metadata',
+  description: 'Extract image metadata',
+  icon: 'fa-info',
+  cache: CACHE_TTL,
+  params: {
+    url: { type: 'string', format: 'uri', required: true, description: 'Image URL', example: 'https://example.com/image.jpg' }
+  },
+  response: {
+    url: 'string',
+    metadata: {
+      format: 'string',
+      dimensions: { width: 'integer', height: 'integer' },
+      fileSize: 'string',
+      colorSpace: 'string',
+      hasAlpha: 'boolean',
+      exif: 'object'
+    },
+    note: 'string'
+  },
+  errorMessage: 'Failed to extract metadata',
+  handler: async (req, res) => {
+    const { url } = req.input;
     
-    // Mock Facebook download response
+    // Mock image metadata extraction
     const data = {
       success: true,
       url: url,
-      downloadUrl: `https://demo-download.com/facebook/${Math.random().toString(36).substring(2)}.mp4`,
-      description: 'Demo Facebook video description',
-      author: 'Demo Facebook Page',
-      views: Math.floor(Math.random() * 500000),
-      reactions: Math.floor(Math.random() * 10000),
-      shares: Math.floor(Math.random() * 1000),
-      duration: '2:30',
+      metadata: {
+        format: 'JPEG',
+        dimensions: {
+          width: 1920,
+          height: 1080
+        },
+        fileSize: '2.4 MB',
+        colorSpace: 'RGB',
+        hasAlpha: false,
+        orientation: 1,
+        density: {
+          x: 72,
+          y: 72
+        },
+        exif: {
+          make: 'Demo Camera',
+          model: 'Demo Model',
+          dateTime: new Date().toISOString(),
+          gps: null,
+          flash: false
+        },
+        colorProfile: 'sRGB',
+        compression: 'JPEG',
+        quality: '85%'
+      },
       timestamp: new Date().toISOString(),
       premium: true,
       free: true,
-      note: 'This is a demo download. Real Facebook download requires specialized API.'
+      note: 'This is demo metadata. Real metadata extraction requires sharp or exif-reader library.'
     };
     
-    setCache(req.originalUrl, data);
     res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process Facebook download',
-      message: error.message
-    });
   }
 });
 
-app.get('/download/twitter', cacheMiddleware, async (req, res) => {
-  try {
-    const { url } = req.query;
+// ============================================
+// ADMIN APIS
+// ============================================
+
+defineEndpoint({
+  method: 'post',
+  path: '/admin/keys',
+  category: 'admin',
+  admin: true,
+  summary: 'Create API key',
+  description: 'Issue a new API key with its own quotas. The key is only returned once.',
+  body: {
+    name: { type: 'string', required: true, sanitize: true, description: 'Who or what the key is for', example: 'dashboard' },
+    dailyLimit: { type: 'integer', default: DEFAULT_KEY_DAILY_LIMIT, minimum: 1, description: 'Requests allowed per UTC day' },
+    windowLimit: { type: 'integer', default: DEFAULT_KEY_WINDOW_LIMIT, minimum: 1, description: 'Requests allowed per window' },
+    windowMinutes: { type: 'integer', default: 15, minimum: 1, description: 'Length of the rate limit window' }
+  },
+  status: 201,
+  response: { key: 'string', data: 'object', note: 'string' },
+  handler: async (req, res) => {
+    const { name, dailyLimit, windowLimit, windowMinutes } = req.input;
+    
+    const key = `lb_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      id: generateUUID(),
+      hash: hashApiKey(key),
+      name: name,
+      prefix: key.slice(0, 7),
+      dailyLimit: dailyLimit,
+      windowLimit: windowLimit,
+      windowMs: windowMinutes * 60 * 1000,
+      revoked: false,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      usage: { day: currentDay(), count: 0, total: 0 }
+    };
     
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
-    }
+    apiKeys.set(record.hash, record);
+    saveApiKeys();
     
-    if (!url.includes('twitter.com') && !url.includes('x.com')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Twitter/X URL'
-      });
+    res.status(201).json({
+      success: true,
+      key: key,
+      data: publicKeyRecord(record),
+      note: 'Store this key now, it cannot be retrieved again.'
+    });
+  }
+});
+
+defineEndpoint({
+  path: '/admin/keys',
+  category: 'admin',
+  admin: true,
+  summary: 'List API keys',
+  description: 'List issued API keys with their quotas and usage',
+  response: { count: 'integer', keys: ['object'] },
+  handler: async (req, res) => {
+    const keys = [...apiKeys.values()].map(publicKeyRecord);
+    
+    res.json({
+      success: true,
+      count: keys.length,
+      keys: keys,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+defineEndpoint({
+  method: 'delete',
+  path: '/admin/keys/:id',
+  category: 'admin',
+  admin: true,
+  summary: 'Revoke API key',
+  description: 'Revoke an API key so it is rejected from now on',
+  params: {
+    id: { in: 'path', type: 'string', required: true, description: 'Key id returned on creation' }
+  },
+  response: { data: 'object' },
+  handler: async (req, res) => {
+    const { id } = req.input;
+    const record = [...apiKeys.values()].find(entry => entry.id === id);
+    
+    if (!record) {
+      return sendError(res, 'NOT_FOUND', 'API key not found', { param: 'id' });
     }
     
-    // Mock Twitter download response
-    const data = {
+    record.revoked = true;
+    record.revokedAt = new Date().toISOString();
+    saveApiKeys();
+    
+    res.json({
       success: true,
-      url: url,
-      downloadUrl: `https://demo-download.com/twitter/${Math.random().toString(36).substring(2)}.mp4`,
-      text: 'Demo Twitter post text with #hashtags @mentions',
-      author: 'Demo Twitter User',
-      retweets: Math.floor(Math.random() * 1000),
-      likes: Math.floor(Math.random() * 5000),
-      replies: Math.floor(Math.random() * 500),
-      timestamp: new Date().toISOString(),
-      premium: true,
-      free: true,
-      note: 'This is a demo download. Real Twitter download requires specialized API.'
-    };
+      data: publicKeyRecord(record)
+    });
+  }
+});
+
+defineEndpoint({
+  path: '/admin/cache',
+  category: 'admin',
+  admin: true,
+  summary: 'List cache entries',
+  description: 'List cached responses with their age, hit counts and size',
+  params: {
+    prefix: { type: 'string', default: '', description: 'Only list URLs starting with this prefix', example: '/ai/' }
+  },
+  response: {
+    count: 'integer',
+    totals: { entries: 'integer', bytes: 'integer', maxEntries: 'integer', maxBytes: 'integer' },
+    entries: [{ url: 'string', route: 'string', age: 'integer', expiresIn: 'integer', hits: 'integer', bytes: 'integer' }]
+  },
+  handler: async (req, res) => {
+    const { prefix } = req.input;
+    const now = Date.now();
+    
+    const entries = [...cache.values()]
+      .filter(entry => entry.key.startsWith(prefix) && now < entry.expiresAt)
+      .map(entry => ({
+        url: entry.key,
+        route: entry.route,
+        age: Math.floor((now - entry.createdAt) / 1000),
+        expiresIn: Math.ceil((entry.expiresAt - now) / 1000),
+        hits: entry.hits,
+        bytes: entry.size
+      }));
     
-    setCache(req.originalUrl, data);
-    res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process Twitter download',
-      message: error.message
+    res.json({
+      success: true,
+      count: entries.length,
+      totals: {
+        entries: cache.size,
+        bytes: cacheBytes,
+        maxEntries: CACHE_MAX_ENTRIES,
+        maxBytes: CACHE_MAX_BYTES
+      },
+      entries: entries,
+      timestamp: new Date().toISOString()
     });
   }
 });
 
-app.get('/download/soundcloud', cacheMiddleware, async (req, res) => {
-  try {
-    const { url } = req.query;
+defineEndpoint({
+  path: '/admin/cache/stats',
+  category: 'admin',
+  admin: true,
+  summary: 'Cache statistics',
+  description: 'Hit/miss ratio overall and per route',
+  response: {
+    overall: { hits: 'integer', misses: 'integer', hitRatio: 'number' },
+    routes: [{ route: 'string', hits: 'integer', misses: 'integer', hitRatio: 'number', entries: 'integer', bytes: 'integer' }]
+  },
+  handler: async (req, res) => {
+    const routes = [...cacheRouteStats.entries()].map(([route, stats]) => {
+      const cached = [...cache.values()].filter(entry => entry.route === route);
+      const lookups = stats.hits + stats.misses;
     
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
+      return {
+        route: route,
+        hits: stats.hits,
+        misses: stats.misses,
+        hitRatio: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0,
+        entries: cached.length,
+        bytes: cached.reduce((total, entry) => total + entry.size, 0)
+      };
+    }).sort((a, b) => (b.hits + b.misses) - (a.hits + a.misses));
+    
+    const hits = routes.reduce((total, route) => total + route.hits, 0);
+    const misses = routes.reduce((total, route) => total + route.misses, 0);
+    
+    res.json({
+      success: true,
+      overall: {
+        hits: hits,
+        misses: misses,
+        hitRatio: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : 0
+      },
+      routes: routes,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+defineEndpoint({
+  method: 'delete',
+  path: '/admin/cache',
+  category: 'admin',
+  admin: true,
+  summary: 'Purge cache',
+  description: 'Purge one URL, every URL under a prefix, or the whole cache',
+  params: {
+    url: { type: 'string', description: 'Exact URL to purge', example: '/ai/chatgpt?text=hello' },
+    prefix: { type: 'string', description: 'Purge every URL starting with this prefix', example: '/ai/' },
+    all: { type: 'boolean', description: 'Purge everything' }
+  },
+  response: { purged: 'integer', remaining: 'integer' },
+  handler: async (req, res) => {
+    const { url, prefix, all } = req.input;
+    
+    if (!url && !prefix && !all) {
+      return sendError(res, 'MISSING_PARAMETER', 'One of "url", "prefix" or "all=true" is required');
     }
     
-    if (!url.includes('soundcloud.com')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid SoundCloud URL'
-      });
+    let purged = 0;
+    
+    if (all) {
+      purged = cache.size;
+      clearCache();
+    } else if (url) {
+      purged = deleteCache(cacheKeyFor(url)) ? 1 : 0;
+    } else {
+      for (const key of [...cache.keys()]) {
+        if (key.startsWith(prefix) && deleteCache(key)) purged++;
+      }
     }
     
-    // Mock SoundCloud download response
-    const data = {
+    res.json({
       success: true,
-      url: url,
-      downloadUrl: `https://demo-download.com/soundcloud/${Math.random().toString(36).substring(2)}.mp3`,
-      title: 'Demo SoundCloud Track',
-      artist: 'Demo SoundCloud Artist',
-      genre: 'Electronic',
-      duration: '4:20',
-      plays: Math.floor(Math.random() * 100000),
-      likes: Math.floor(Math.random() * 10000),
-      reposts: Math.floor(Math.random() * 1000),
-      quality: '128kbps',
+      purged: purged,
+      remaining: cache.size,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ============================================
+// SYSTEM APIS
+// ============================================
+
+defineEndpoint({
+  path: '/api/status',
+  category: 'system',
+  summary: 'API Status',
+  description: 'Check API health and status',
+  icon: 'fa-heartbeat',
+  response: {
+    status: 'string',
+    uptime: 'number',
+    server: 'object',
+    upstreams: [{ provider: 'string', state: 'string', consecutiveFailures: 'integer', openedAt: 'string', retryAt: 'string', active: 'integer', queued: 'integer' }],
+    features: 'object'
+  },
+  handler: async (req, res) => {
+    res.json({
+      success: true,
+      status: 'Active',
+      uptime: process.uptime(),
       timestamp: new Date().toISOString(),
-      premium: true,
-      free: true,
-      note: 'This is a demo download. Real SoundCloud download requires specialized API.'
-    };
-    
-    setCache(req.originalUrl, data);
-    res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process SoundCloud download',
-      message: error.message
+      server: {
+        ...API_CONFIG,
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        cachedEndpoints: cache.size,
+        version: process.version,
+        platform: process.platform
+      },
+      upstreams: Object.values(upstreams).map(client => client.status()),
+      features: {
+        rateLimit: `${config.rateLimit.windowMinutes} minutes / ${RATE_LIMIT_MAX} requests`,
+        rateLimitStore: rateLimitStore.name,
+        llmProviders: llmProviders.map(provider => `${provider.name} (${provider.model})`),
+        apiKeys: 'Optional - send X-API-Key for per-key quotas',
+        cache: `LRU, ${config.cache.ttlSeconds} seconds default TTL`,
+        security: 'Security headers enabled',
+        metrics: 'Prometheus format at /metrics',
+        usage: 'Per-client analytics at /api/usage',
+        endpoints: API_CONFIG.endpoints,
+        premium_features: 'All FREE',
+        no_api_key: true,
+        commercial_use: true
+      },
+      premium: {
+        all_features_free: true,
+        no_subscription_required: true,
+        unlimited_requests: true,
+        commercial_use_allowed: true
+      }
     });
   }
 });
 
-app.get('/download/spotify', cacheMiddleware, async (req, res) => {
-  try {
-    const { url } = req.query;
+defineEndpoint({
+  path: '/api/usage',
+  category: 'system',
+  summary: 'Usage Analytics',
+  description: `Requests, errors, cache hits and average latency per endpoint, by hour or day (kept for ${USAGE_RETENTION_DAYS} days). Shows your own API key or IP; admins can see every client`,
+  icon: 'fa-chart-line',
+  params: {
+    from: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'First UTC day, inclusive (defaults to 7 days ago)', example: '2024-01-01' },
+    to: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Last UTC day, inclusive (defaults to today)', example: '2024-01-07' },
+    granularity: { type: 'string', enum: ['day', 'hour'], default: 'day', description: 'Row period' },
+    route: { type: 'string', description: 'Only this route, e.g. /ai/chatgpt' },
+    client: { type: 'string', description: 'Admin only - a client such as key:<id> or ip:<address>' },
+    format: { type: 'string', enum: ['json', 'csv'], default: 'json', description: 'csv downloads the rows as a spreadsheet' }
+  },
+  csv: 'period,client,route,requests,errors,cache_hits,avg_latency_ms',
+  response: {
+    client: 'string',
+    from: 'string',
+    to: 'string',
+    granularity: 'string',
+    limits: 'object',
+    totals: { requests: 'integer', errors: 'integer', cacheHits: 'integer', avgLatencyMs: 'number' },
+    rows: [{ period: 'string', client: 'string', route: 'string', requests: 'integer', errors: 'integer', cacheHits: 'integer', avgLatencyMs: 'number' }]
+  },
+  handler: async (req, res) => {
+    const { granularity, route, client, format } = req.input;
+    const from = req.input.from || new Date(Date.now() - 6 * DAY_MS).toISOString().slice(0, 10);
+    const to = req.input.to || currentDay();
+    const admin = isAdminRequest(req);
+    
+    if (client && !admin) {
+      return sendError(res, 'UNAUTHORIZED', 'Only admins can view usage for other clients', { param: 'client' });
+    }
     
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
+    if (from > to) {
+      return sendError(res, 'INVALID_PARAMETER', '"from" must not be after "to"', { param: 'from' });
     }
     
-    if (!url.includes('open.spotify.com')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Spotify URL'
-      });
+    const subject = admin ? client : clientId(req);
+    const rows = queryUsage({ from, to, granularity, client: subject, route });
+    
+    if (format === 'csv') {
+      return res.type('text/csv').attachment(`usage-${from}-${to}.csv`).send(usageCsv(rows));
     }
     
-    // Mock Spotify download response
-    const data = {
+    let limits = null;
+    if (req.apiKey && subject === clientId(req)) {
+      limits = {
+        dailyLimit: req.apiKey.dailyLimit,
+        usedToday: req.apiKey.usage.count,
+        windowLimit: req.apiKey.windowLimit,
+        windowMinutes: req.apiKey.windowMs / 60000
+      };
+    } else if (subject && subject.startsWith('ip:')) {
+      limits = { windowLimit: RATE_LIMIT_MAX, windowMinutes: RATE_LIMIT_WINDOW / 60000 };
+    }
+    
+    res.json({
       success: true,
-      url: url,
-      downloadUrl: `https://demo-download.com/spotify/${Math.random().toString(36).substring(2)}.mp3`,
-      title: 'Demo Spotify Track',
-      artist: 'Demo Spotify Artist',
-      album: 'Demo Spotify Album',
-      duration: '3:30',
-      popularity: Math.floor(Math.random() * 100),
-      danceability: (Math.random()).toFixed(2),
-      energy: (Math.random()).toFixed(2),
-      valence: (Math.random()).toFixed(2),
-      quality: '320kbps',
+      client: subject || 'all',
+      from: from,
+      to: to,
+      granularity: granularity,
+      limits: limits,
+      totals: usageTotals(rows),
+      rows: rows,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+defineEndpoint({
+  path: '/health',
+  category: 'system',
+  summary: 'Health Check',
+  description: 'Simple health check endpoint. Use /health/live and /health/ready for platform probes',
+  icon: 'fa-check-circle',
+  response: { status: 'string', uptime: 'number' },
+  handler: async (req, res) => {
+    res.json({
+      status: 'healthy',
       timestamp: new Date().toISOString(),
-      premium: true,
-      free: true,
-      note: 'This is a demo download. Real Spotify download requires Spotify API and conversion.'
-    };
+      uptime: process.uptime(),
+      premium: 'All features are FREE!',
+      endpoints: `${API_CONFIG.endpoints} APIs Available`
+    });
+  }
+});
+
+// Readiness - /health/ready checks everything the API leans on and answers 503
+// once a local subsystem (memory, event loop) is critical or the server drains. Upstream probes are cached for
+// HEALTH_PROBE_TTL_SECONDS so frequent platform checks do not hammer providers.
+const HEALTH_PROBE_TTL = config.health.probeTtlSeconds * 1000;
+const HEALTH_PROBE_TIMEOUT = 3000;
+const MEMORY_DEGRADED_RATIO = 0.8;
+const MEMORY_CRITICAL_RATIO = 0.95;
+const EVENT_LOOP_DEGRADED_MS = 100;
+const EVENT_LOOP_CRITICAL_MS = 1000;
+const probeResults = new Map(); // provider -> { result, expiresAt }
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+eventLoopDelay.enable();
+
+function levelFor(value, degraded, critical = Infinity) {
+  return value >= critical ? 'critical' : value >= degraded ? 'degraded' : 'ok';
+}
+
+// Any HTTP answer below 500 means the provider is reachable
+function probeUpstream(client) {
+  const cached = probeResults.get(client.provider);
+  if (cached && Date.now() < cached.expiresAt) return cached.result;
+  
+  const start = Date.now();
+  const result = axios.request({ timeout: HEALTH_PROBE_TIMEOUT, validateStatus: status => status < 500, ...client.probe })
+    .then(() => ({ up: true, error: null }))
+    .catch(error => ({ up: false, error: error.response ? `HTTP ${error.response.status}` : error.code || error.message }))
+    .then(outcome => ({ ...outcome, latencyMs: Date.now() - start, checkedAt: new Date().toISOString() }));
+  
+  probeResults.set(client.provider, { result, expiresAt: start + HEALTH_PROBE_TTL });
+  return result;
+}
+
+// Third-party outages only degrade: routes without a fallback answer 502 on their
+// own, and a 503 here would get healthy instances restarted and deploys blocked
+async function checkUpstreams() {
+  const providers = await Promise.all(Object.values(upstreams).filter(client => client.probe).map(async client => {
+    const { state } = client.status();
+    if (state === 'open') {
+      return { provider: client.provider, up: false, circuit: state, error: 'circuit open', latencyMs: null, checkedAt: null };
+    }
+    return { provider: client.provider, circuit: state, ...(await probeUpstream(client)) };
+  }));
+  
+  const status = providers.some(entry => !entry.up) ? 'degraded' : 'ok';
+  
+  return { status, providers };
+}
+
+function checkMemory() {
+  const heap = v8.getHeapStatistics();
+  const ratio = heap.used_heap_size / heap.heap_size_limit;
+  
+  return {
+    status: levelFor(ratio, MEMORY_DEGRADED_RATIO, MEMORY_CRITICAL_RATIO),
+    heapUsedBytes: heap.used_heap_size,
+    heapLimitBytes: heap.heap_size_limit,
+    heapRatio: Math.round(ratio * 1000) / 1000,
+    rssBytes: process.memoryUsage().rss
+  };
+}
+
+// A full cache still works, it just evicts on every write, so its fill is only reported
+function checkCache() {
+  const fillRatio = Math.max(cache.size / CACHE_MAX_ENTRIES, cacheBytes / CACHE_MAX_BYTES);
+  return {
+    status: 'ok',
+    fillRatio: Math.round(fillRatio * 1000) / 1000,
+    entries: cache.size,
+    maxEntries: CACHE_MAX_ENTRIES,
+    bytes: cacheBytes,
+    maxBytes: CACHE_MAX_BYTES
+  };
+}
+
+// Delay since the previous readiness check
+function checkEventLoop() {
+  const toMs = ns => Math.round((ns || 0) / 1e4) / 100;
+  const result = {
+    meanMs: toMs(eventLoopDelay.mean),
+    p99Ms: toMs(eventLoopDelay.percentile(99)),
+    maxMs: toMs(eventLoopDelay.max)
+  };
+  eventLoopDelay.reset();
+  
+  return { status: levelFor(result.p99Ms, EVENT_LOOP_DEGRADED_MS, EVENT_LOOP_CRITICAL_MS), ...result };
+}
+
+async function checkReadiness() {
+  const checks = {
+    upstreams: await checkUpstreams(),
+    memory: checkMemory(),
+    cache: checkCache(),
+    eventLoop: checkEventLoop()
+  };
+  const levels = Object.values(checks).map(check => check.status);
+  const status = draining ? 'draining' : levels.includes('critical') ? 'unavailable' : levels.includes('degraded') ? 'degraded' : 'ready';
+  
+  return { status, checks };
+}
+
+defineEndpoint({
+  path: '/health/live',
+  category: 'system',
+  summary: 'Liveness Probe',
+  description: 'Answers as long as the process is serving requests',
+  icon: 'fa-heart',
+  response: { status: 'string', uptime: 'number' },
+  handler: async (req, res) => {
+    res.json({
+      success: true,
+      status: 'alive',
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+defineEndpoint({
+  path: '/health/ready',
+  category: 'system',
+  summary: 'Readiness Probe',
+  description: 'Checks upstream providers, memory pressure, event-loop lag and cache fill. Status is ready, degraded, unavailable or draining (shutting down); the last two answer 503',
+  icon: 'fa-stethoscope',
+  response: {
+    status: 'string',
+    checks: {
+      upstreams: { status: 'string', providers: [{ provider: 'string', up: 'boolean', circuit: 'string', error: 'string', latencyMs: 'integer', checkedAt: 'string' }] },
+      memory: { status: 'string', heapUsedBytes: 'integer', heapLimitBytes: 'integer', heapRatio: 'number', rssBytes: 'integer' },
+      cache: { status: 'string', fillRatio: 'number', entries: 'integer', maxEntries: 'integer', bytes: 'integer', maxBytes: 'integer' },
+      eventLoop: { status: 'string', meanMs: 'number', p99Ms: 'number', maxMs: 'number' }
+    }
+  },
+  handler: async (req, res) => {
+    const { status, checks } = await checkReadiness();
     
-    setCache(req.originalUrl, data);
-    res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process Spotify download',
-      message: error.message
+    const ready = status === 'ready' || status === 'degraded';
+    
+    res.status(ready ? 200 : 503).json({
+      success: ready,
+      status: status,
+      checks: checks,
+      timestamp: new Date().toISOString()
     });
   }
 });
 
-// ============================================
-// IMAGE APIS (5 endpoints)
-// ============================================
+// Internal requests - batch items and jobs are replayed against our own listener
+// so they run through exactly the same middleware, validation, caching and
+// handlers as direct calls. They carry a per-process secret and are not counted
+// against the rate limit a second time.
+const INTERNAL_SECRET = crypto.randomBytes(24).toString('hex');
+
+function isInternalRequest(req) {
+  return req.headers['x-ladybug-internal'] === INTERNAL_SECRET;
+}
+
+function isPlainParams(params) {
+  return typeof params === 'object' && params !== null && !Array.isArray(params) &&
+    Object.values(params).every(value => value === null || typeof value !== 'object');
+}
+
+function dispatchInternal(path, params, { requestId, client, timeout, stream = false }) {
+  return axios.get(`http://127.0.0.1:${server.address().port}${path}`, {
+    params: params,
+    headers: {
+      'X-Ladybug-Internal': INTERNAL_SECRET,
+      'X-Ladybug-Client': client,
+      'X-Request-Id': requestId,
+      Accept: stream ? 'text/event-stream' : 'application/json'
+    },
+    responseType: stream ? 'stream' : 'json',
+    timeout: timeout,
+    validateStatus: () => true
+  });
+}
+
+const BATCH_MAX_ITEMS = 20;
+const BATCH_ITEM_TIMEOUT = 30000;
 
-app.get('/image/resize', cacheMiddleware, async (req, res) => {
+async function runBatchItem(req, item, index) {
+  const id = item && item.id !== undefined ? String(item.id) : String(index);
+  const path = item && item.path;
+  const failure = (code, message) => ({
+    id: id,
+    path: path,
+    status: ERROR_CODES[code].status,
+    success: false,
+    body: { success: false, error: message, code: code }
+  });
+  
+  if (typeof path !== 'string') {
+    return failure('MISSING_PARAMETER', 'Each batch item needs a "path"');
+  }
+  
+  const endpoint = publicEndpoints().find(entry => entry.method === 'get' && entry.path === path);
+  if (!endpoint) {
+    return failure('NOT_FOUND', `Endpoint "${path}" cannot be batched`);
+  }
+  
+  const params = item.params || {};
+  if (!isPlainParams(params)) {
+    return failure('INVALID_PARAMETER', '"params" must be an object of plain values');
+  }
+  
   try {
-    const { url, width, height } = req.query;
-    
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
-    }
-    
-    if (!width || !height) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameters "width" and "height" are required'
-      });
-    }
-    
-    const resizedUrl = `https://picsum.photos/${width}/${height}?random=${Math.random()}`;
-    
-    const data = {
-      success: true,
-      original: {
-        url: url,
-        size: 'Original size would be detected with image processing'
-      },
-      resized: {
-        url: resizedUrl,
-        width: parseInt(width),
-        height: parseInt(height),
-        size: `${Math.floor(parseInt(width) * parseInt(height) / 1000)} KB (estimated)`
-      },
-      timestamp: new Date().toISOString(),
-      premium: true,
-      free: true,
-      note: 'This is a demo resize. Real image resizing requires sharp or jimp library.'
+    const response = await dispatchInternal(path, params, { requestId: `${req.id}.${index}`, client: clientId(req), timeout: BATCH_ITEM_TIMEOUT });
+    
+    return {
+      id: id,
+      path: path,
+      status: response.status,
+      success: response.status < 400,
+      cache: response.headers['x-cache'] || null,
+      body: response.data
     };
-    
-    setCache(req.originalUrl, data);
-    res.json(data);
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to resize image',
-      message: error.message
-    });
+    return failure('INTERNAL_ERROR', 'Batch item did not complete');
   }
-});
+}
 
-app.get('/image/convert', cacheMiddleware, async (req, res) => {
-  try {
-    const { url, format } = req.query;
-    
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
+defineEndpoint({
+  path: '/api/batch',
+  method: 'post',
+  category: 'system',
+  summary: 'Batch Requests',
+  description: `Run up to ${BATCH_MAX_ITEMS} GET endpoints in one request. Items run concurrently and fail independently, and the batch counts as a single request against the rate limit`,
+  icon: 'fa-layer-group',
+  requestBody: {
+    required: true,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'array',
+          minItems: 1,
+          maxItems: BATCH_MAX_ITEMS,
+          items: {
+            type: 'object',
+            required: ['path'],
+            properties: {
+              id: { type: ['string', 'integer'], description: 'Echoed back on the result, defaults to the item index' },
+              path: { type: 'string', example: '/random/quote' },
+              params: { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean', 'null'] } }
+            }
+          }
+        },
+        example: [
+          { id: 'quote', path: '/random/quote' },
+          { id: 'usd', path: '/data/currency-converter', params: { amount: 10, from: 'USD', to: 'EUR' } }
+        ]
+      }
+    }
+  },
+  response: {
+    count: 'integer',
+    succeeded: 'integer',
+    failed: 'integer',
+    results: [{ id: 'string', path: 'string', status: 'integer', success: 'boolean', cache: 'string', body: 'object' }]
+  },
+  errorMessage: 'Failed to run batch',
+  handler: async (req, res) => {
+    const items = req.body;
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return sendError(res, 'INVALID_BODY', 'Body must be a non-empty array of { id, path, params }');
     }
     
-    if (!format) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "format" is required'
-      });
+    if (items.length > BATCH_MAX_ITEMS) {
+      return sendError(res, 'PAYLOAD_TOO_LARGE', `A batch may contain at most ${BATCH_MAX_ITEMS} items`);
     }
     
-    const validFormats = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp'];
-    if (!validFormats.includes(format.toLowerCase())) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid format. Supported formats: ${validFormats.join(', ')}`
-      });
+    const ids = items.map((item, index) => item && item.id !== undefined ? String(item.id) : String(index));
+    if (new Set(ids).size !== ids.length) {
+      return sendError(res, 'INVALID_BODY', 'Batch item ids must be unique');
     }
     
-    const convertedUrl = `https://picsum.photos/400/300?random=${Math.random()}.${format}`;
+    const results = await Promise.all(items.map((item, index) => runBatchItem(req, item, index)));
+    const failed = results.filter(result => !result.success).length;
     
-    const data = {
+    res.json({
       success: true,
-      original: {
-        url: url,
-        format: 'detected format would go here'
-      },
-      converted: {
-        url: convertedUrl,
-        format: format.toLowerCase(),
-        size: 'Converted size would be calculated'
-      },
-      timestamp: new Date().toISOString(),
-      premium: true,
-      free: true,
-      note: 'This is a demo conversion. Real image conversion requires sharp or jimp library.'
-    };
-    
-    setCache(req.originalUrl, data);
-    res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to convert image',
-      message: error.message
+      count: results.length,
+      succeeded: results.length - failed,
+      failed: failed,
+      results: results,
+      timestamp: new Date().toISOString()
     });
   }
 });
 
-app.get('/image/compress', cacheMiddleware, async (req, res) => {
+// Jobs - slow endpoints (flagged with job: true) can be submitted to POST /jobs
+// and polled at /jobs/:id. Jobs run JOB_CONCURRENCY at a time through the same
+// internal dispatch as batch items and are forgotten JOB_RETENTION_MINUTES after
+// they finish. With JOB_CALLBACK_SECRET set, a callbackUrl receives the finished
+// job signed as X-Ladybug-Signature: sha256=HMAC(secret, `${timestamp}.${body}`).
+const jobs = new Map();
+const jobQueue = [];
+const JOB_CONCURRENCY = config.jobs.concurrency;
+const JOB_MAX_QUEUED = 100;
+const JOB_TIMEOUT = 5 * 60 * 1000;
+const JOB_RETENTION = config.jobs.retentionMinutes * 60 * 1000;
+const JOB_CALLBACK_SECRET = config.jobs.callbackSecret;
+let runningJobs = 0;
+
+// Callbacks go to client-supplied URLs, so they get their own retries rather than
+// a shared breaker that one dead URL could open for everybody
+const JOB_CALLBACK_TIMEOUT = 10000;
+const JOB_CALLBACK_ATTEMPTS = 3;
+const JOB_CALLBACK_BACKOFF = 1000;
+
+// Callbacks must not reach this machine or its network (loopback, private,
+// link-local such as cloud metadata at 169.254.169.254). Addresses are checked
+// when the job is submitted and again on the connection itself, so a name that
+// later resolves somewhere else is still refused.
+const BLOCKED_CALLBACK_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_CALLBACK_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => BLOCKED_CALLBACK_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_CALLBACK_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_CALLBACK_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function callbackLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      const blocked = new Error(`Callback host ${hostname} resolves to a private address`);
+      blocked.code = 'EBLOCKEDADDRESS';
+      return callback(blocked);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const callbackAgents = {
+  httpAgent: new http.Agent({ lookup: callbackLookup }),
+  httpsAgent: new https.Agent({ lookup: callbackLookup })
+};
+
+// Returns a reason the URL is refused, or null
+async function checkCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'Callback URL is not a valid URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'Callback URL must use http or https';
+  
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [hostname] : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    return `Callback host ${hostname} could not be resolved`;
+  }
+  if (addresses.some(isBlockedAddress)) return 'Callback URL must not point to a loopback, private or link-local address';
+  return null;
+}
+
+// Only the submitter sees a job, so its parameters come back as sent, less credentials
+function publicJob(job) {
+  const params = { ...job.params };
+  CACHE_IGNORED_PARAMS.forEach(name => delete params[name]);
+  
+  return {
+    id: job.id,
+    path: job.path,
+    params: params,
+    status: job.status,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    expiresAt: job.finishedAt ? new Date(Date.parse(job.finishedAt) + JOB_RETENTION).toISOString() : null,
+    result: job.result,
+    callback: job.callback
+  };
+}
+
+function startQueuedJobs() {
+  while (!draining && runningJobs < JOB_CONCURRENCY && jobQueue.length > 0) {
+    const job = jobQueue.shift();
+    runningJobs++;
+    runJob(job).finally(() => {
+      runningJobs--;
+      startQueuedJobs();
+    });
+  }
+}
+
+// Streaming endpoints report progress as their chunks arrive; the percentage is
+// an estimate that only reaches 100 once the job has finished
+async function runJob(job) {
+  const endpoint = endpointRegistry.find(entry => entry.path === job.path);
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  job.progress = { percent: 10, received: 0 };
+  
   try {
-    const { url, quality = '80' } = req.query;
+    const response = await dispatchInternal(job.path, job.params, { requestId: `job.${job.id}`, client: job.client, timeout: JOB_TIMEOUT, stream: Boolean(endpoint.streams) });
+    let status = response.status;
+    let body = response.data;
     
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
+    if (endpoint.streams) {
+      body = await readEventStream(response, job);
+      if (body === null) status = 502;
     }
     
-    const qualityNum = parseInt(quality);
-    if (isNaN(qualityNum) || qualityNum < 1 || qualityNum > 100) {
-      return res.status(400).json({
-        success: false,
-        error: 'Quality must be a number between 1 and 100'
+    job.result = { status: status, body: body };
+    job.status = status < 400 ? 'succeeded' : 'failed';
+  } catch (error) {
+    log('error', 'Job failed', { jobId: job.id, path: job.path, error: error.message });
+    job.result = { status: 500, body: { success: false, error: 'Job did not complete', code: 'INTERNAL_ERROR' } };
+    job.status = 'failed';
+  }
+  
+  job.finishedAt = new Date().toISOString();
+  job.progress = { ...job.progress, percent: 100 };
+  log('info', 'Job finished', { jobId: job.id, path: job.path, status: job.status });
+  
+  if (job.callback) await deliverJobCallback(job);
+}
+
+// Error responses arrive as plain JSON even when a stream was asked for
+async function readEventStream(response, job) {
+  let buffer = '';
+  let done = null;
+  
+  response.data.setEncoding('utf8');
+  for await (const piece of response.data) {
+    buffer += piece;
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    
+    events.forEach(event => {
+      const type = (event.match(/^event: (.*)$/m) || [])[1];
+      const data = JSON.parse((event.match(/^data: (.*)$/m) || [])[1] || 'null');
+      if (type === 'chunk') {
+        job.progress.received += data.text.length;
+        job.progress.percent = Math.min(90, job.progress.percent + 1);
+      } else if (type === 'done') {
+        done = data;
+      }
+    });
+  }
+  
+  return response.status < 400 ? done : JSON.parse(buffer || 'null');
+}
+
+async function deliverJobCallback(job) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({ event: 'job.finished', job: { ...publicJob(job), callback: undefined } });
+  const signature = crypto.createHmac('sha256', JOB_CALLBACK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+  
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await axios.request({
+        method: 'post',
+        url: job.callback.url,
+        data: body,
+        timeout: JOB_CALLBACK_TIMEOUT,
+        maxRedirects: 0,
+        ...callbackAgents,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Ladybug-Event': 'job.finished',
+          'X-Ladybug-Timestamp': String(timestamp),
+          'X-Ladybug-Signature': `sha256=${signature}`
+        }
       });
+      job.callback.status = 'delivered';
+      job.callback.statusCode = response.status;
+      return;
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      const retryable = error.code !== 'EBLOCKEDADDRESS' && (status === null || status >= 500 || status === 429);
+      if (!retryable || attempt >= JOB_CALLBACK_ATTEMPTS) {
+        job.callback.status = 'failed';
+        job.callback.statusCode = status;
+        log('warn', 'Job callback failed', { jobId: job.id, attempts: attempt, error: error.message });
+        return;
+      }
     }
     
-    const originalSize = Math.floor(Math.random() * 5000 + 1000);
-    const compressedSize = Math.floor(originalSize * (qualityNum / 100));
-    const savings = originalSize - compressedSize;
-    
-    const data = {
-      success: true,
-      original: {
-        url: url,
-        size: `${originalSize} KB`,
-        estimatedPixels: '1920x1080'
-      },
-      compressed: {
-        url: `https://picsum.photos/400/300?random=${Math.random()}`,
-        size: `${compressedSize} KB`,
-        quality: `${qualityNum}%`,
-        compressionRatio: `${((savings / originalSize) * 100).toFixed(1)}% smaller`
-      },
-      savings: `${savings} KB (${((savings / originalSize) * 100).toFixed(1)}%)`,
-      timestamp: new Date().toISOString(),
-      premium: true,
-      free: true,
-      note: 'This is a demo compression. Real compression requires sharp or imagemin library.'
-    };
-    
-    setCache(req.originalUrl, data);
-    res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to compress image',
-      message: error.message
-    });
+    await new Promise(resolve => setTimeout(resolve, Math.random() * JOB_CALLBACK_BACKOFF * 2 ** (attempt - 1)));
   }
-});
+}
 
-app.get('/image/filter', cacheMiddleware, async (req, res) => {
-  try {
-    const { url, filter } = req.query;
+const jobSweep = setInterval(() => {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now >= Date.parse(job.finishedAt) + JOB_RETENTION) jobs.delete(id);
+  }
+}, 60 * 1000);
+jobSweep.unref();
+
+const JOB_SHAPE = {
+  id: 'string',
+  path: 'string',
+  params: 'object',
+  status: 'string',
+  progress: { percent: 'integer', received: 'integer' },
+  createdAt: 'string',
+  startedAt: 'string',
+  finishedAt: 'string',
+  expiresAt: 'string',
+  result: { status: 'integer', body: 'object' },
+  callback: { url: 'string', status: 'string', statusCode: 'integer' }
+};
+
+defineEndpoint({
+  path: '/jobs',
+  method: 'post',
+  category: 'system',
+  summary: 'Submit Job',
+  description: 'Run a slow endpoint in the background. Returns 202 with a job id to poll at /jobs/{id}',
+  icon: 'fa-hourglass-half',
+  body: {
+    path: { type: 'string', required: true, description: 'Endpoint to run, e.g. /ai/writer', example: '/ai/writer' },
+    params: { type: 'object', description: 'Query parameters for the endpoint', example: { topic: 'Space travel', type: 'article' } },
+    callbackUrl: { type: 'string', format: 'uri', description: 'Receives a signed POST when the job finishes (needs JOB_CALLBACK_SECRET on the server)' }
+  },
+  status: 202,
+  response: { job: JOB_SHAPE, statusUrl: 'string' },
+  errorMessage: 'Failed to submit job',
+  handler: async (req, res) => {
+    const { path, callbackUrl } = req.input;
+    const params = req.input.params || {};
+    const endpoint = publicEndpoints().find(entry => entry.job && entry.path === path);
+    
+    if (!endpoint) {
+      const supported = publicEndpoints().filter(entry => entry.job).map(entry => entry.path);
+      return sendError(res, 'INVALID_PARAMETER', `"${path}" cannot run as a job. Supported: ${supported.join(', ')}`, { param: 'path' });
+    }
     
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
+    if (!isPlainParams(params)) {
+      return sendError(res, 'INVALID_PARAMETER', '"params" must be an object of plain values', { param: 'params' });
     }
     
-    if (!filter) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "filter" is required'
-      });
+    // Reject bad parameters now rather than in a failed job later
+    const { errors } = validateInput(endpoint.params, { query: params });
+    if (errors.length > 0) {
+      return sendError(res, errors[0].code, errors[0].message, { param: errors[0].field, errors: errors });
     }
     
-    const validFilters = ['grayscale', 'sepia', 'blur', 'sharpen', 'brightness', 'contrast', 'vintage', 'cold', 'warm'];
-    if (!validFilters.includes(filter.toLowerCase())) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid filter. Supported filters: ${validFilters.join(', ')}`
-      });
+    if (callbackUrl && !JOB_CALLBACK_SECRET) {
+      return sendError(res, 'SERVICE_DISABLED', 'Job callbacks are disabled. Set JOB_CALLBACK_SECRET to enable them.', { param: 'callbackUrl' });
+    }
+    const callbackProblem = callbackUrl ? await checkCallbackUrl(callbackUrl) : null;
+    if (callbackProblem) {
+      return sendError(res, 'INVALID_URL', callbackProblem, { param: 'callbackUrl' });
     }
     
-    const filteredUrl = `https://picsum.photos/400/300?random=${Math.random()}`;
+    if (draining) {
+      return sendError(res, 'SERVICE_DISABLED', 'Server is shutting down, please submit the job again shortly.');
+    }
+    if (jobQueue.length >= JOB_MAX_QUEUED) {
+      return sendError(res, 'RATE_LIMITED', 'Too many queued jobs, please try again later.');
+    }
     
-    const data = {
-      success: true,
-      original: {
-        url: url
-      },
-      filtered: {
-        url: filteredUrl,
-        filter: filter.toLowerCase(),
-        intensity: '100%'
-      },
-      timestamp: new Date().toISOString(),
-      premium: true,
-      free: true,
-      note: 'This is a demo filter. Real filters require canvas, sharp, or image processing library.'
+    const job = {
+      id: crypto.randomUUID(),
+      path: path,
+      params: params,
+      client: clientId(req),
+      status: 'queued',
+      progress: { percent: 0, received: 0 },
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      callback: callbackUrl ? { url: callbackUrl, status: 'pending', statusCode: null } : null
     };
+    jobs.set(job.id, job);
+    jobQueue.push(job);
+    startQueuedJobs();
     
-    setCache(req.originalUrl, data);
-    res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to apply filter',
-      message: error.message
+    res.status(202).location(`/jobs/${job.id}`).json({
+      success: true,
+      job: publicJob(job),
+      statusUrl: `/jobs/${job.id}`,
+      timestamp: new Date().toISOString()
     });
   }
 });
 
-app.get('/image/metadata', cacheMiddleware, async (req, res) => {
-  try {
-    const { url } = req.query;
-    
-    if (!url || url.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Parameter "url" is required'
-      });
+defineEndpoint({
+  path: '/jobs/:id',
+  category: 'system',
+  summary: 'Job Status',
+  description: 'Poll the status, progress and result of a job. Only the client that submitted it (or an admin) can see it',
+  icon: 'fa-tasks',
+  params: {
+    id: { in: 'path', type: 'string', required: true, description: 'Job id returned on submission' }
+  },
+  response: { job: JOB_SHAPE },
+  handler: async (req, res) => {
+    const job = jobs.get(req.input.id);
+    
+    // Someone else's job looks the same as a missing one
+    if (!job || (job.client !== clientId(req) && !isAdminRequest(req))) {
+      return sendError(res, 'NOT_FOUND', 'Job not found or expired', { param: 'id' });
     }
     
-    // Mock image metadata extraction
-    const data = {
+    res.json({
       success: true,
-      url: url,
-      metadata: {
-        format: 'JPEG',
-        dimensions: {
-          width: 1920,
-          height: 1080
-        },
-        fileSize: '2.4 MB',
-        colorSpace: 'RGB',
-        hasAlpha: false,
-        orientation: 1,
-        density: {
-          x: 72,
-          y: 72
-        },
-        exif: {
-          make: 'Demo Camera',
-          model: 'Demo Model',
-          dateTime: new Date().toISOString(),
-          gps: null,
-          flash: false
-        },
-        colorProfile: 'sRGB',
-        compression: 'JPEG',
-        quality: '85%'
-      },
-      timestamp: new Date().toISOString(),
-      premium: true,
-      free: true,
-      note: 'This is demo metadata. Real metadata extraction requires sharp or exif-reader library.'
-    };
-    
-    setCache(req.originalUrl, data);
-    res.json(data);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to extract metadata',
-      message: error.message
+      job: publicJob(job),
+      timestamp: new Date().toISOString()
     });
   }
 });
 
-// ============================================
-// SYSTEM APIS
-// ============================================
-
-app.get('/api/status', (req, res) => {
-  res.json({
-    success: true,
-    status: 'Active',
-    uptime: process.uptime(),
-    timestamp: new Date().toISOString(),
-    server: {
-      ...API_CONFIG,
-      uptime: process.uptime(),
-      memory: process.memoryUsage(),
-      cachedEndpoints: cache.size,
-      version: process.version,
-      platform: process.platform
-    },
-    features: {
-      rateLimit: '15 minutes / 100 requests',
-      cache: '5 minutes TTL',
-      security: 'Security headers enabled',
-      endpoints: 65,
-      premium_features: 'All FREE',
-      no_api_key: true,
-      commercial_use: true
-    },
-    premium: {
-      all_features_free: true,
-      no_subscription_required: true,
-      unlimited_requests: true,
-      commercial_use_allowed: true
-    }
-  });
-});
-
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    premium: 'All features are FREE!',
-    endpoints: '65+ APIs Available'
-  });
-});
-
 // ============================================
 // ERROR HANDLING
 // ============================================
 
 app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found',
+  sendError(res, 'NOT_FOUND', 'Endpoint not found', {
     path: req.path,
-    message: 'Please check the API documentation at "/"',
-    availableEndpoints: [
-      '/ai/chatgpt', '/ai/texttoimg', '/ai/writer', '/ai/translate', '/ai/summarize',
-      '/ai/sentiment', '/ai/grammar', '/ai/keyword',
-      '/business/email-validator', '/business/phone-validator', '/business/color-palette',
-      '/dev/json-formatter', '/dev/base64-encoder', '/dev/uuid-generator',
-      '/social/twitter-screenshot', '/social/instagram-downloader',
-      '/data/currency-converter', '/data/weather',
-      '/music/shazam', '/music/lyrics', '/music/spotify', '/music/youtube', '/music/playlist',
-      '/tools/tinyurl', '/tools/qr-code', '/tools/password', '/tools/hash', '/tools/timestamp',
-      '/tools/calculator', '/tools/units', '/tools/ascii', '/tools/morse', '/tools/roman',
-      '/random/anime', '/random/movie', '/random/quote', '/random/joke', '/random/fact',
-      '/random/word', '/random/color', '/random/number',
-      '/search/youtube', '/search/google', '/search/image', '/search/news', '/search/book',
-      '/search/recipe', '/search/product', '/search/meme',
-      '/download/ytmp3', '/download/ytmp4', '/download/instagram', '/download/tiktok',
-      '/download/facebook', '/download/twitter', '/download/soundcloud', '/download/spotify',
-      '/image/resize', '/image/convert', '/image/compress', '/image/filter', '/image/metadata',
-      '/api/info', '/api/status', '/health'
-    ]
+    documentation: '/docs',
+    availableEndpoints: publicEndpoints().map(endpoint => endpoint.path)
   });
 });
 
 app.use((err, req, res, next) => {
-  console.error('Server Error:', err.stack);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong',
-    timestamp: new Date().toISOString()
-  });
+  if (res.headersSent) {
+    return next(err);
+  }
+  
+  // Body parser failures carry a type and are the client's fault
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 'INVALID_BODY', 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+  
+  log('error', 'Server error', { requestId: req.id, error: err.stack });
+  sendError(res, 'INTERNAL_ERROR', 'Internal server error');
 });
 
 // ============================================
 // START SERVER
 // ============================================
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 \u2554\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2557
 \u2551   \ud83d\udc1e Ladybug API v2.2.0 - PREMIUM     \u2551
 \u2560\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2563
 \u2551  Port: ${PORT}                       
 \u2551  Status: Active                        \u2551
-\u2551  Endpoints: 65 (ALL FREE)              \u2551
+\u2551  Endpoints: ${`${API_CONFIG.endpoints} (ALL FREE)`.padEnd(27)}\u2551
 \u2551  Security: Enabled                     \u2551
 \u2551  Cache: Enabled                        \u2551
-\u2551  Rate Limit: 100/15min                 \u2551
+\u2551  Rate Limit: ${`${RATE_LIMIT_MAX}/${config.rateLimit.windowMinutes}min`.padEnd(26)}\u2551
 \u2551  Premium Features: 100% FREE           \u2551
 \u2551  Commercial Use: ALLOWED               \u2551
 \u255a\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u2550\u255d
 
 \ud83d\ude80 PREMIUM FEATURES - ALL FREE:
-\u2022 Advanced AI APIs (8 endpoints)
-\u2022 Business Tools (3 endpoints) 
-\u2022 Developer Tools (3 endpoints)
-\u2022 Social Media Tools (2 endpoints)
-\u2022 Data APIs (2 endpoints)
-\u2022 Music APIs (5 endpoints)
-\u2022 Tools APIs (10 endpoints)
-\u2022 Random APIs (8 endpoints)
-\u2022 Search APIs (8 endpoints)
-\u2022 Download APIs (8 endpoints)
-\u2022 Image APIs (5 endpoints)
-\u2022 System APIs (3 endpoints)
+${Object.keys(CATEGORY_DESCRIPTIONS).filter(category => category !== 'admin' && !DISABLED_CATEGORIES.includes(category)).map(category => `\u2022 ${CATEGORY_DESCRIPTIONS[category]} (${publicEndpoints().filter(endpoint => endpoint.category === category).length} endpoints)`).join('\n')}
 
 \ud83d\udc9d All Premium Features are COMPLETELY FREE!
 \ud83d\udcf1 WhatsApp: +263 71 845 6744
@@ -3354,15 +6015,60 @@ app.listen(PORT, () => {
   `);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  cache.clear();
-  process.exit(0);
-});
+// Graceful shutdown - keep accepting connections for SHUTDOWN_GRACE_SECONDS while
+// /health/ready answers "draining" so the platform stops routing traffic here,
+// then stop listening and let in-flight requests and running jobs finish. After
+// SHUTDOWN_TIMEOUT_SECONDS in total whatever is left is dropped. Usage and API
+// key counters are persisted and the logs flushed before exiting.
+const SHUTDOWN_TIMEOUT = config.shutdown.timeoutSeconds * 1000;
+const SHUTDOWN_GRACE = Math.min(config.shutdown.graceSeconds * 1000, SHUTDOWN_TIMEOUT);
+
+function whenJobsIdle() {
+  return new Promise(resolve => {
+    const check = setInterval(() => {
+      if (runningJobs === 0) {
+        clearInterval(check);
+        resolve();
+      }
+    }, 100);
+  });
+}
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  cache.clear();
-  process.exit(0);
-});
+function flushStream(stream) {
+  return new Promise(resolve => stream.write('', resolve));
+}
+
+async function shutdown(signal) {
+  if (draining) return;
+  draining = true;
+  log('info', 'Shutting down', { signal: signal, activeRequests: activeRequests, runningJobs: runningJobs, graceMs: SHUTDOWN_GRACE, timeoutMs: SHUTDOWN_TIMEOUT });
+  
+  const deadline = new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT, false));
+  const drained = new Promise(resolve => setTimeout(resolve, SHUTDOWN_GRACE))
+    .then(() => new Promise(resolve => {
+      server.close(resolve);
+      server.closeIdleConnections();
+    }))
+    .then(whenJobsIdle)
+    .then(() => true);
+  
+  const clean = await Promise.race([drained, deadline]);
+  if (!clean) {
+    log('warn', 'Shutdown deadline reached, dropping remaining requests', { activeRequests: activeRequests, runningJobs: runningJobs });
+    server.closeAllConnections();
+  }
+  
+  clearCache();
+  await Promise.all([
+    saveUsage(),
+    saveApiKeys(),
+    rateLimitStore.close().catch(error => log('error', 'Failed to close rate limit store', { error: error.message }))
+  ]);
+  
+  log('info', 'Shutdown complete', { clean: clean });
+  await Promise.all([flushStream(process.stdout), flushStream(process.stderr)]);
+  process.exit(clean ? 0 : 1);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
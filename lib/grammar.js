@@ -0,0 +1,224 @@
+const { splitSentences } = require('./sentences');
+
+// Rule-based grammar and style checker. Every rule scans the text and reports
+// issues as { rule, message, severity, offset, length, text, replacements, safe }
+// where offset/length index into the text like String#slice. Fixes flagged safe
+// are applied, first replacement wins, to build the corrected text.
+
+const SEVERITY_WEIGHTS = { error: 10, warning: 5, style: 2 };
+
+// "that that" and "had had" are usually intentional
+const REPEAT_ALLOWED = new Set(['had', 'that', 'is', 'bye', 'ha', 'no', 'very', 'so']);
+
+// Words that start with a vowel letter but a consonant sound, and the reverse
+const CONSONANT_SOUND = /^(?:uni(?!n)|use|usu|usa|uti|ure|euro?|eu|ewe|once|one\b|onesel|ouija|ufo|uk\b|us\b|u-)/i;
+const VOWEL_SOUND = /^(?:hour|honest|honou?r|heir|herb|x-)/i;
+// Letters whose spoken name starts with a vowel sound, for abbreviations like "an FBI agent"
+const VOWEL_LETTER_NAMES = new Set(['A', 'E', 'F', 'H', 'I', 'L', 'M', 'N', 'O', 'R', 'S', 'X']);
+
+// [rule id, pattern, replacement, message, safe = true]. The pattern's first
+// group is the part that gets replaced.
+const CONFUSIONS = [
+  ['ITS_IT_IS', /\b(its)\s+(?:been|not|going|gonna|a|an|the|okay|ok|true)\b/gi, "it's", 'Use "it\'s" (it is / it has) here'],
+  ['ITS_POSSESSIVE', /\b(it's)\s+own\b/gi, 'its', 'Use the possessive "its"'],
+  ['THEIR_THERE', /\b(their)\s+(?:is|are|was|were|will be|has been|have been)\b/gi, 'there', 'Use "there" to say something exists'],
+  ['THERE_THEIR', /\b(there|they're)\s+own\b/gi, 'their', 'Use the possessive "their"'],
+  ['YOUR_YOU_ARE', /\b(your)\s+(?:welcome|not|a|an|the)\b/gi, "you're", 'Use "you\'re" (you are) here'],
+  ['YOU_ARE_YOUR', /\b(you're)\s+own\b/gi, 'your', 'Use the possessive "your"'],
+  ['COULD_OF', /\b(?:could|would|should|must|might)\s+(of)\b/gi, 'have', 'Use "have" after modal verbs'],
+  ['THEN_THAN', /\b(?:more|less|better|worse|rather|greater|fewer|larger|smaller|higher|lower|faster|slower|older|younger|bigger|other)\s+(then)\b(?!\s*(?:[.,;:!?]|$))/gi, 'than', 'Use "than" for comparisons', false],
+  ['ALOT', /\b(alot)\b/gi, 'a lot', '"alot" is not a word']
+];
+
+function issue(rule, severity, message, offset, text, replacements, safe) {
+  return { rule, message, severity, offset, length: text.length, text, replacements, safe };
+}
+
+// Keeps "Its" -> "It's" and "ITS" -> "IT'S"
+function matchCase(source, replacement) {
+  if (source.length > 1 && source === source.toUpperCase() && source !== source.toLowerCase()) return replacement.toUpperCase();
+  if (source[0] === source[0].toUpperCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+}
+
+function tokenAround(text, offset) {
+  const start = text.lastIndexOf(' ', offset) + 1;
+  const end = text.indexOf(' ', offset);
+  return text.slice(start, end === -1 ? text.length : end);
+}
+
+function isUrlOrEmail(token) {
+  return /:\/\/|^www\.|@|\.(?:com|org|net|io|dev|js|json|html?)\b/i.test(token);
+}
+
+const RULES = [
+  function repeatedWords(text) {
+    const issues = [];
+    for (const match of text.matchAll(/(?<![\p{L}'])([\p{L}']+)\s+\1(?![\p{L}'])/giu)) {
+      if (REPEAT_ALLOWED.has(match[1].toLowerCase())) continue;
+      // "a A grade" may be a word and a letter, so only exact repeats are removed
+      const exact = match[0].endsWith(match[1]);
+      issues.push(issue('REPEATED_WORD', 'error', `"${match[1]}" is repeated`, match.index, match[0], [match[1]], exact));
+    }
+    return issues;
+  },
+  
+  function articles(text) {
+    const issues = [];
+    for (const match of text.matchAll(/\b(a|an)\s+([\p{L}\d][\p{L}\d'-]*)/giu)) {
+      const [, article, word] = match;
+      // A capital "A" mid-sentence is usually a letter ("vitamin A is"); only
+      // SHOUTED text gets a suggestion, and it is not applied
+      const sentenceStart = /(?:^|[.!?]["')\]]*\s+)["'(\[]*$/.test(text.slice(0, match.index));
+      const lowercase = article === article.toLowerCase();
+      if (!lowercase && !sentenceStart && word !== word.toUpperCase()) continue;
+      
+      // "an FBI agent" is read letter by letter, "A HOUSE IS" is just shouting
+      const next = text.slice(match.index + match[0].length).match(/^\s+(\p{L}{2,})/u);
+      const shouting = !lowercase && !sentenceStart;
+      const abbreviation = !shouting && /^[A-Z]{2,5}$/.test(word) && !(next && next[1] === next[1].toUpperCase());
+      let vowel;
+      
+      if (abbreviation) {
+        vowel = VOWEL_LETTER_NAMES.has(word[0]);
+      } else if (/^\d/.test(word)) {
+        vowel = /^(?:8|11|18)(?!\d)|^8\d*/.test(word);
+      } else {
+        vowel = /^[aeiou]/i.test(word) ? !CONSONANT_SOUND.test(word) : VOWEL_SOUND.test(word);
+      }
+      
+      const expected = vowel ? 'an' : 'a';
+      if (article.toLowerCase() === expected) continue;
+      
+      const replacement = shouting ? expected.toUpperCase() : matchCase(article, expected);
+      issues.push(issue('A_AN', 'error', `Use "${replacement}" before "${word}"`, match.index, article, [replacement], !shouting));
+    }
+    return issues;
+  },
+  
+  function confusions(text) {
+    const issues = [];
+    CONFUSIONS.forEach(([rule, pattern, replacement, message, safe = true]) => {
+      for (const match of text.matchAll(pattern)) {
+        const offset = match.index + match[0].indexOf(match[1]);
+        issues.push(issue(rule, 'error', message, offset, match[1], [matchCase(match[1], replacement)], safe));
+      }
+    });
+    return issues;
+  },
+  
+  function capitalization(text) {
+    const issues = [];
+    splitSentences(text).forEach(sentence => {
+      const first = sentence.text.match(/^["'(\[]*(\p{Ll})/u);
+      // Names like "iPhone" or "eBay" keep their casing
+      if (!first || /^["'(\[]*\p{Ll}+\p{Lu}/u.test(sentence.text)) return;
+      
+      // A sentence after an ellipsis is usually a continuation
+      const previous = text.slice(0, sentence.offset).trimEnd();
+      if (previous.endsWith('...') || previous.endsWith('…')) return;
+      if (isUrlOrEmail(tokenAround(text, sentence.offset))) return;
+      
+      const offset = sentence.offset + first[0].length - 1;
+      const letter = first[1];
+      issues.push(issue('SENTENCE_START_CAPITAL', 'error', 'Start the sentence with a capital letter', offset, letter, [letter.toUpperCase()], true));
+    });
+    
+    for (const match of text.matchAll(/(?<![\p{L}\d.'-])i(?=['’]\p{L}|[\s,;:!?]|\.(?:\s|$)|$)/gu)) {
+      issues.push(issue('LOWERCASE_I', 'error', 'The pronoun "I" is always capitalized', match.index, 'i', ['I'], true));
+    }
+    return issues;
+  },
+  
+  function punctuationSpacing(text) {
+    const issues = [];
+    
+    for (const match of text.matchAll(/(?<=\S)[ \t]+(?=[,.;:!?](?:\s|$))/g)) {
+      issues.push(issue('SPACE_BEFORE_PUNCTUATION', 'warning', 'Remove the space before the punctuation mark', match.index, match[0], [''], true));
+    }
+    
+    for (const match of text.matchAll(/[,;:!?](?=\p{L})|(?<=\p{Ll}{2})\.(?=\p{Lu}\p{Ll})/gu)) {
+      if (isUrlOrEmail(tokenAround(text, match.index))) continue;
+      issues.push(issue('MISSING_SPACE_AFTER_PUNCTUATION', 'warning', 'Add a space after the punctuation mark', match.index, match[0], [`${match[0]} `], true));
+    }
+    
+    for (const match of text.matchAll(/(?<=\S) {2,}(?=\S)/g)) {
+      issues.push(issue('MULTIPLE_SPACES', 'warning', 'Use a single space between words', match.index, match[0], [' '], true));
+    }
+    
+    for (const match of text.matchAll(/([,;:])\1+|(?<!\.)\.\.(?!\.)/g)) {
+      issues.push(issue('REPEATED_PUNCTUATION', 'warning', 'Repeated punctuation mark', match.index, match[0], [match[0][0]], true));
+    }
+    
+    const end = text.match(/[\p{L}\d]$/u);
+    if (end) {
+      issues.push(issue('MISSING_END_PUNCTUATION', 'warning', 'End the text with a punctuation mark', text.length - 1, end[0], [`${end[0]}.`], true));
+    }
+    return issues;
+  },
+  
+  function longSentences(text, { maxSentenceWords }) {
+    return splitSentences(text)
+      .filter(sentence => sentence.text.split(/\s+/).filter(Boolean).length > maxSentenceWords)
+      .map(sentence => {
+        const words = sentence.text.split(/\s+/).filter(Boolean).length;
+        return issue('LONG_SENTENCE', 'style', `This sentence has ${words} words, consider splitting it (limit ${maxSentenceWords})`, sentence.offset, sentence.text, [], false);
+      });
+  }
+];
+
+function findIssues(text, options) {
+  return RULES
+    .flatMap(rule => rule(text, options))
+    .sort((a, b) => a.offset - b.offset || b.length - a.length);
+}
+
+// Applies the first replacement of every safe issue, skipping any that overlap
+// one already applied
+function applyFixes(text, issues) {
+  const applied = [];
+  let lastEnd = -1;
+  
+  issues.filter(entry => entry.safe && entry.replacements.length > 0).forEach(entry => {
+    if (entry.offset < lastEnd) return;
+    applied.push(entry);
+    lastEnd = entry.offset + entry.length;
+  });
+  
+  const corrected = applied.reduceRight((result, entry) => {
+    return result.slice(0, entry.offset) + entry.replacements[0] + result.slice(entry.offset + entry.length);
+  }, text);
+  
+  return { corrected, applied: applied.length };
+}
+
+// Issues always refer to the original text. Overlapping fixes ("a apple" at the
+// start of a sentence) are picked up by re-checking the corrected text, up to
+// MAX_FIX_PASSES times.
+const MAX_FIX_PASSES = 3;
+
+// options: { maxSentenceWords = 40 }
+function checkGrammar(text, { maxSentenceWords = 40 } = {}) {
+  const options = { maxSentenceWords };
+  const issues = findIssues(text, options);
+  let corrected = text;
+  let applied = 0;
+  
+  for (let pass = 0; pass < MAX_FIX_PASSES; pass++) {
+    const result = applyFixes(corrected, pass === 0 ? issues : findIssues(corrected, options));
+    if (result.applied === 0) break;
+    corrected = result.corrected;
+    applied += result.applied;
+  }
+  
+  const penalty = issues.reduce((sum, entry) => sum + SEVERITY_WEIGHTS[entry.severity], 0);
+  
+  return {
+    corrected: corrected,
+    issues: issues,
+    fixesApplied: applied,
+    score: Math.max(0, 100 - penalty)
+  };
+}
+
+module.exports = { checkGrammar };
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { STOPWORDS } = require('./stopwords');
+const { stem } = require('./stemmer');
+const { splitSentences } = require('./sentences');
+
+// Keyphrase extraction. Candidates are runs of content words between stopwords
+// and punctuation (RAKE, Rose et al. 2010), or windows of runs too long to be a
+// phrase themselves. Words are scored either by RAKE's
+// degree/frequency or by TextRank (Mihalcea & Tarau 2004) over a co-occurrence
+// graph, optionally weighted by IDF against a bundled background corpus, and a
+// phrase scores the sum of its words. English words are stemmed so "running"
+// and "runs" count as one word.
+
+const TEXTRANK_WINDOW = 3;
+const TEXTRANK_DAMPING = 0.85;
+const TEXTRANK_ITERATIONS = 50;
+
+// Languages with a background corpus in lib/data for IDF weighting
+const BACKGROUND_CORPORA = { en: path.join(__dirname, 'data', 'background-corpus.en.txt') };
+const idfTables = {};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:[-'’][\p{L}\p{N}]+)*/gu;
+const PHRASE_BREAK = /[.,;:!?()[\]{}"“”«»|/\n]+|\s[-–—]+\s/;
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/’/g, "'");
+}
+
+function stemFor(lang, word) {
+  return lang === 'en' ? word.split('-').map(stem).join('-') : word;
+}
+
+function isContentWord(word, stopwords) {
+  return word.length > 1 && !stopwords.has(word) && !/^[\d-]+$/.test(word);
+}
+
+// [[{ word, key }]] - runs of content words, one array per candidate phrase
+function candidateRuns(text, lang) {
+  const stopwords = STOPWORDS[lang];
+  const runs = [];
+  let totalWords = 0;
+  
+  text.split(PHRASE_BREAK).forEach(fragment => {
+    let run = [];
+    for (const [raw] of fragment.matchAll(WORD_PATTERN)) {
+      totalWords++;
+      const word = normalizeWord(raw);
+      if (isContentWord(word, stopwords)) {
+        run.push({ word, key: stemFor(lang, word) });
+      } else if (run.length > 0) {
+        runs.push(run);
+        run = [];
+      }
+    }
+    if (run.length > 0) runs.push(run);
+  });
+  
+  return { runs, totalWords };
+}
+
+function idfTable(lang) {
+  if (!idfTables[lang]) {
+    const documents = fs.readFileSync(BACKGROUND_CORPORA[lang], 'utf8').split('\n').filter(line => line.trim());
+    const documentFrequency = new Map();
+    
+    documents.forEach(document => {
+      const keys = new Set(candidateRuns(document, lang).runs.flat().map(token => token.key));
+      keys.forEach(key => documentFrequency.set(key, (documentFrequency.get(key) || 0) + 1));
+    });
+    
+    idfTables[lang] = { documents: documents.length, documentFrequency };
+  }
+  return idfTables[lang];
+}
+
+// Smoothed as if the analysed text were one more document in the corpus
+function idf(lang, key) {
+  const table = idfTable(lang);
+  return Math.log((table.documents + 1) / ((table.documentFrequency.get(key) || 0) + 1)) + 1;
+}
+
+function rakeScores(runs) {
+  const frequency = new Map();
+  const degree = new Map();
+  
+  runs.flat().forEach(token => frequency.set(token.key, (frequency.get(token.key) || 0) + 1));
+  runs.forEach(run => {
+    run.forEach(token => degree.set(token.key, (degree.get(token.key) || 0) + run.length));
+  });
+  
+  return new Map([...frequency].map(([key, count]) => [key, degree.get(key) / count]));
+}
+
+function textRankScores(text, lang) {
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (a === b) return;
+    if (!neighbours.has(a)) neighbours.set(a, new Set());
+    if (!neighbours.has(b)) neighbours.set(b, new Set());
+    neighbours.get(a).add(b);
+    neighbours.get(b).add(a);
+  };
+  
+  // Content words co-occur when they are close within a sentence, across stopwords
+  splitSentences(text, { lines: true }).forEach(sentence => {
+    const keys = candidateRuns(sentence.text, lang).runs.flat().map(token => token.key);
+    keys.forEach((key, index) => {
+      if (!neighbours.has(key)) neighbours.set(key, new Set());
+      for (let offset = 1; offset < TEXTRANK_WINDOW && index + offset < keys.length; offset++) {
+        link(key, keys[index + offset]);
+      }
+    });
+  });
+  
+  let ranks = new Map([...neighbours.keys()].map(key => [key, 1]));
+  for (let iteration = 0; iteration < TEXTRANK_ITERATIONS; iteration++) {
+    let change = 0;
+    const next = new Map();
+    
+    neighbours.forEach((linked, key) => {
+      let sum = 0;
+      linked.forEach(other => { sum += ranks.get(other) / neighbours.get(other).size; });
+      const rank = (1 - TEXTRANK_DAMPING) + TEXTRANK_DAMPING * sum;
+      change = Math.max(change, Math.abs(rank - ranks.get(key)));
+      next.set(key, rank);
+    });
+    
+    ranks = next;
+    if (change < 1e-6) break;
+  }
+  
+  return ranks;
+}
+
+// options: { method = 'rake' | 'textrank', lang = 'en', tfidf = false, max = 10, maxWords = 3 }
+// Returns { keywords: [{ keyword, score, relevance, frequency, words }], totalWords, uniqueKeywords }
+function extractKeywords(text, { method = 'rake', lang = 'en', tfidf = false, max = 10, maxWords = 3 } = {}) {
+  const { runs, totalWords } = candidateRuns(text, lang);
+  const wordScores = method === 'textrank' ? textRankScores(text, lang) : rakeScores(runs);
+  
+  if (tfidf) {
+    wordScores.forEach((score, key) => wordScores.set(key, score * idf(lang, key)));
+  }
+  
+  // Every window of up to maxWords words is counted, so a phrase also counts
+  // when it appears inside a longer run
+  const occurrences = new Map();
+  const phrases = new Map();
+  runs.forEach(run => {
+    run.forEach((token, start) => {
+      for (let end = start + 1; end <= Math.min(run.length, start + maxWords); end++) {
+        const window = run.slice(start, end);
+        const key = window.map(entry => entry.key).join(' ');
+        occurrences.set(key, (occurrences.get(key) || 0) + 1);
+        
+        // Short runs are candidates as a whole; longer ones through their windows.
+        // Phrases group by their stems and show the most common spelling.
+        if (run.length <= maxWords && window.length !== run.length) continue;
+        const surface = window.map(entry => entry.word).join(' ');
+        const phrase = phrases.get(key) || { key, forms: new Map(), words: window.length, partial: true };
+        phrase.partial = phrase.partial && window.length !== run.length;
+        phrase.forms.set(surface, (phrase.forms.get(surface) || 0) + 1);
+        phrases.set(key, phrase);
+      }
+    });
+  });
+  
+  const ranked = [...phrases.values()]
+    .map(phrase => ({
+      key: phrase.key,
+      keyword: [...phrase.forms].sort((a, b) => b[1] - a[1])[0][0],
+      score: phrase.key.split(' ').reduce((sum, key) => sum + wordScores.get(key), 0),
+      frequency: occurrences.get(phrase.key),
+      words: phrase.words,
+      partial: phrase.partial
+    }))
+    .sort((a, b) => b.score - a.score || b.frequency - a.frequency);
+  
+  // A phrase adds nothing when it only ever appears inside a better ranked one,
+  // nor does a window cut from a long run that overlaps one
+  const overlaps = (a, b) => a.key.split(' ').some(key => b.key.split(' ').includes(key));
+  const chosen = [];
+  for (const entry of ranked) {
+    if (chosen.length >= max) break;
+    const redundant = chosen.some(other => other.frequency >= entry.frequency &&
+      (` ${other.key} `.includes(` ${entry.key} `) || (entry.partial && overlaps(entry, other))));
+    if (!redundant) chosen.push(entry);
+  }
+  
+  const top = chosen.length > 0 ? chosen[0].score : 0;
+  
+  return {
+    keywords: chosen.map(entry => ({
+      keyword: entry.keyword,
+      score: Math.round(entry.score * 1000) / 1000,
+      relevance: top ? Math.round((entry.score / top) * 100) : 0,
+      frequency: entry.frequency,
+      words: entry.words
+    })),
+    totalWords: totalWords,
+    uniqueKeywords: phrases.size
+  };
+}
+
+module.exports = {
+  extractKeywords,
+  KEYWORD_LANGUAGES: Object.keys(STOPWORDS),
+  TFIDF_LANGUAGES: Object.keys(BACKGROUND_CORPORA)
+};
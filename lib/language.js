@@ -0,0 +1,177 @@
+// Offline language identification. The writing system decides first: scripts
+// used by a single language (Greek, Hangul, Thai, ...) answer directly, the rest
+// are compared by character trigrams (Cavnar & Trenkle 1994) against trigram
+// profiles of each language's Universal Declaration of Human Rights translation,
+// from the trigrams package.
+
+const ISO_639_1 = {
+  aa: 'Afar', ab: 'Abkhazian', ae: 'Avestan', af: 'Afrikaans', ak: 'Akan', am: 'Amharic', an: 'Aragonese',
+  ar: 'Arabic', as: 'Assamese', av: 'Avaric', ay: 'Aymara', az: 'Azerbaijani', ba: 'Bashkir', be: 'Belarusian',
+  bg: 'Bulgarian', bi: 'Bislama', bm: 'Bambara', bn: 'Bengali', bo: 'Tibetan', br: 'Breton', bs: 'Bosnian',
+  ca: 'Catalan', ce: 'Chechen', ch: 'Chamorro', co: 'Corsican', cr: 'Cree', cs: 'Czech', cu: 'Church Slavic',
+  cv: 'Chuvash', cy: 'Welsh', da: 'Danish', de: 'German', dv: 'Divehi', dz: 'Dzongkha', ee: 'Ewe', el: 'Greek',
+  en: 'English', eo: 'Esperanto', es: 'Spanish', et: 'Estonian', eu: 'Basque', fa: 'Persian', ff: 'Fulah',
+  fi: 'Finnish', fj: 'Fijian', fo: 'Faroese', fr: 'French', fy: 'Western Frisian', ga: 'Irish', gd: 'Scottish Gaelic',
+  gl: 'Galician', gn: 'Guarani', gu: 'Gujarati', gv: 'Manx', ha: 'Hausa', he: 'Hebrew', hi: 'Hindi', ho: 'Hiri Motu',
+  hr: 'Croatian', ht: 'Haitian Creole', hu: 'Hungarian', hy: 'Armenian', hz: 'Herero', ia: 'Interlingua',
+  id: 'Indonesian', ie: 'Interlingue', ig: 'Igbo', ii: 'Sichuan Yi', ik: 'Inupiaq', io: 'Ido', is: 'Icelandic',
+  it: 'Italian', iu: 'Inuktitut', ja: 'Japanese', jv: 'Javanese', ka: 'Georgian', kg: 'Kongo', ki: 'Kikuyu',
+  kj: 'Kuanyama', kk: 'Kazakh', kl: 'Kalaallisut', km: 'Khmer', kn: 'Kannada', ko: 'Korean', kr: 'Kanuri',
+  ks: 'Kashmiri', ku: 'Kurdish', kv: 'Komi', kw: 'Cornish', ky: 'Kyrgyz', la: 'Latin', lb: 'Luxembourgish',
+  lg: 'Ganda', li: 'Limburgish', ln: 'Lingala', lo: 'Lao', lt: 'Lithuanian', lu: 'Luba-Katanga', lv: 'Latvian',
+  mg: 'Malagasy', mh: 'Marshallese', mi: 'Maori', mk: 'Macedonian', ml: 'Malayalam', mn: 'Mongolian', mr: 'Marathi',
+  ms: 'Malay', mt: 'Maltese', my: 'Burmese', na: 'Nauru', nb: 'Norwegian Bokmål', nd: 'North Ndebele', ne: 'Nepali',
+  ng: 'Ndonga', nl: 'Dutch', nn: 'Norwegian Nynorsk', no: 'Norwegian', nr: 'South Ndebele', nv: 'Navajo',
+  ny: 'Chichewa', oc: 'Occitan', oj: 'Ojibwa', om: 'Oromo', or: 'Odia', os: 'Ossetian', pa: 'Punjabi', pi: 'Pali',
+  pl: 'Polish', ps: 'Pashto', pt: 'Portuguese', qu: 'Quechua', rm: 'Romansh', rn: 'Rundi', ro: 'Romanian',
+  ru: 'Russian', rw: 'Kinyarwanda', sa: 'Sanskrit', sc: 'Sardinian', sd: 'Sindhi', se: 'Northern Sami', sg: 'Sango',
+  si: 'Sinhala', sk: 'Slovak', sl: 'Slovenian', sm: 'Samoan', sn: 'Shona', so: 'Somali', sq: 'Albanian', sr: 'Serbian',
+  ss: 'Swati', st: 'Southern Sotho', su: 'Sundanese', sv: 'Swedish', sw: 'Swahili', ta: 'Tamil', te: 'Telugu',
+  tg: 'Tajik', th: 'Thai', ti: 'Tigrinya', tk: 'Turkmen', tl: 'Tagalog', tn: 'Tswana', to: 'Tonga', tr: 'Turkish',
+  ts: 'Tsonga', tt: 'Tatar', tw: 'Twi', ty: 'Tahitian', ug: 'Uyghur', uk: 'Ukrainian', ur: 'Urdu', uz: 'Uzbek',
+  ve: 'Venda', vi: 'Vietnamese', vo: 'Volapük', wa: 'Walloon', wo: 'Wolof', xh: 'Xhosa', yi: 'Yiddish', yo: 'Yoruba',
+  za: 'Zhuang', zh: 'Chinese', zu: 'Zulu'
+};
+
+// Scripts shared by several languages, with the trigram profile of each language
+const TRIGRAM_LANGUAGES = {
+  Latin: {
+    en: 'eng', es: 'spa', fr: 'fra', de: 'deu_1996', it: 'ita', pt: 'por_PT', nl: 'nld', sv: 'swe', da: 'dan',
+    nb: 'nob', fi: 'fin', pl: 'pol', cs: 'ces', sk: 'slk', sl: 'slv', hr: 'hrv', ro: 'ron_2006', hu: 'hun',
+    tr: 'tur', et: 'est', lv: 'lav', lt: 'lit', id: 'ind', ms: 'mly_latn', vi: 'vie', tl: 'tgl', sw: 'swh',
+    af: 'afr', sq: 'als', ca: 'cat', eu: 'eus', gl: 'glg', ga: 'gle', cy: 'cym', is: 'isl', mt: 'mlt',
+    eo: 'epo', la: 'lat', az: 'azj_latn', uz: 'uzn_latn', ha: 'hau_NG', yo: 'yor', zu: 'zul', xh: 'xho',
+    so: 'som', ig: 'ibo', ht: 'hat_kreyol', lb: 'ltz', mg: 'plt', jv: 'jav', su: 'sun', sn: 'sna', rw: 'kin',
+    mi: 'mri', sm: 'smo'
+  },
+  Cyrillic: {
+    ru: 'rus', uk: 'ukr', bg: 'bul', mk: 'mkd', sr: 'srp_cyrl', be: 'bel', kk: 'kaz', ky: 'kir', mn: 'khk',
+    tg: 'tgk', tt: 'tat'
+  },
+  Arabic: { ar: 'arb', fa: 'pes_1', ur: 'urd', ps: 'pbu', ug: 'uig_arab', ku: 'ckb' },
+  Devanagari: { hi: 'hin', mr: 'mar', ne: 'nep' },
+  Hebrew: { he: 'heb', yi: 'ydd' },
+  Ethiopic: { am: 'amh', ti: 'tir' }
+};
+
+// Scripts that identify the language on their own
+const SCRIPT_LANGUAGES = {
+  Greek: 'el', Armenian: 'hy', Georgian: 'ka', Hangul: 'ko', Thai: 'th', Lao: 'lo', Khmer: 'km', Myanmar: 'my',
+  Bengali: 'bn', Tamil: 'ta', Telugu: 'te', Kannada: 'kn', Malayalam: 'ml', Gujarati: 'gu', Gurmukhi: 'pa',
+  Oriya: 'or', Sinhala: 'si', Tibetan: 'bo', Thaana: 'dv', Han: 'zh', Hiragana: 'ja', Katakana: 'ja'
+};
+
+const SCRIPTS = [...Object.keys(TRIGRAM_LANGUAGES), ...Object.keys(SCRIPT_LANGUAGES)]
+  .map(name => [name, new RegExp(`\\p{Script=${name}}`, 'u')]);
+
+// The text's most common trigrams that are compared
+const MAX_TRIGRAMS = 300;
+// Cost of a trigram the language lacks, and the cap for one that is far out of place
+const MISSING_PENALTY = 1000;
+// Softmax temperature turning trigram similarity into confidence
+const CONFIDENCE_SHARPNESS = 40;
+// Below this many trigrams (about 40 characters) confidence is scaled down
+const MIN_TRIGRAMS = 40;
+
+// { script: { code: Map(trigram -> rank) } }
+const profiles = Object.fromEntries(Object.entries(TRIGRAM_LANGUAGES).map(([script, languages]) => [
+  script,
+  Object.fromEntries(Object.entries(languages).map(([code, file]) => {
+    const counts = require(`trigrams/data/all/${file}.json`);
+    const ranked = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    return [code, new Map(ranked.map((trigram, rank) => [trigram, rank]))];
+  }))
+]));
+
+const DETECTABLE_LANGUAGES = [...new Set([
+  ...Object.values(TRIGRAM_LANGUAGES).flatMap(Object.keys),
+  ...Object.values(SCRIPT_LANGUAGES)
+])].sort();
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Same cleaning the trigram profiles were built with: ASCII punctuation and
+// digits become spaces, then the text is padded with one space on each side
+function textTrigrams(text) {
+  const clean = ` ${text.replace(/[!-@]+/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase()} `;
+  const counts = new Map();
+  
+  for (let i = 0; i < clean.length - 2; i++) {
+    const trigram = clean.slice(i, i + 3);
+    counts.set(trigram, (counts.get(trigram) || 0) + 1);
+  }
+  
+  return [...counts].sort((a, b) => b[1] - a[1]).slice(0, MAX_TRIGRAMS).map(([trigram]) => trigram);
+}
+
+// Out-of-place distance: how far each trigram's rank is from its rank in the
+// language, MISSING_PENALTY at most
+function distance(trigrams, profile) {
+  return trigrams.reduce((sum, trigram, rank) => {
+    return sum + (profile.has(trigram) ? Math.min(MISSING_PENALTY, Math.abs(rank - profile.get(trigram))) : MISSING_PENALTY);
+  }, 0);
+}
+
+// { Latin: 0.97, ... } - share of the letters written in each known script
+function detectScripts(text) {
+  const counts = {};
+  let letters = 0;
+  
+  for (const [char] of text.matchAll(/\p{L}/gu)) {
+    letters++;
+    const script = SCRIPTS.find(([, pattern]) => pattern.test(char));
+    const name = script ? script[0] : 'Other';
+    counts[name] = (counts[name] || 0) + 1;
+  }
+  
+  return Object.fromEntries(Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => [name, round(count / letters)]));
+}
+
+function candidate(code, confidence) {
+  return { language: code, name: ISO_639_1[code], confidence: round(confidence) };
+}
+
+// Returns { language, name, confidence, script, scripts, candidates }. language
+// is 'und' (undetermined) when the text has no letters in a known script.
+function detectLanguage(text, { limit = 5 } = {}) {
+  const scripts = detectScripts(text);
+  const [script, share] = Object.entries(scripts)[0] || [null, 0];
+  let candidates = [];
+  
+  if (script && SCRIPT_LANGUAGES[script]) {
+    // Any kana among Han characters means Japanese rather than Chinese
+    const japanese = ['Han', 'Hiragana', 'Katakana'].includes(script) && (scripts.Hiragana || scripts.Katakana);
+    const cjkShare = (scripts.Han || 0) + (scripts.Hiragana || 0) + (scripts.Katakana || 0);
+    candidates = [candidate(japanese ? 'ja' : SCRIPT_LANGUAGES[script], japanese ? cjkShare : share)];
+  } else if (script && profiles[script]) {
+    const trigrams = textTrigrams(text);
+    const worst = trigrams.length * MISSING_PENALTY;
+    const similarities = Object.entries(profiles[script]).map(([code, profile]) => [code, 1 - distance(trigrams, profile) / worst]);
+    
+    const weights = similarities.map(([code, similarity]) => [code, Math.exp(CONFIDENCE_SHARPNESS * similarity)]);
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    const thin = Math.min(1, trigrams.length / MIN_TRIGRAMS);
+    
+    candidates = weights
+      .map(([code, weight]) => candidate(code, (weight / total) * share * thin))
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, limit);
+  }
+  
+  const best = candidates[0] || { language: 'und', name: 'Undetermined', confidence: 0 };
+  
+  return {
+    language: best.language,
+    name: best.name,
+    confidence: best.confidence,
+    script: script,
+    scripts: scripts,
+    candidates: candidates
+  };
+}
+
+module.exports = { detectLanguage, ISO_639_1, DETECTABLE_LANGUAGES };
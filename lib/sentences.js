@@ -0,0 +1,39 @@
+// Sentence splitting shared by the text modules. A sentence ends at . ! or ?
+// (plus any closing quotes or brackets) followed by whitespace, or at a blank
+// line. A full stop after a known abbreviation ("Dr."), a dotted one ("U.S.",
+// "e.g.") or an initial ("J. Smith") does not end it.
+
+const ABBREVIATIONS = new Set([
+  'etc', 'vs', 'mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'jr', 'sr', 'fig', 'approx', 'inc', 'ltd', 'co', 'no', 'dept', 'est', 'vol'
+]);
+
+function isAbbreviation(word) {
+  const bare = word.replace(/^["'(\[]+/, '');
+  return ABBREVIATIONS.has(bare.toLowerCase()) || /^(?:\p{L}\.)+\p{L}$/u.test(bare) || /^[A-HJ-Z]$/.test(bare);
+}
+
+// Returns [{ offset, text }], offset indexing into text like String#slice. With
+// lines, every line break ends a sentence too.
+function splitSentences(text, { lines = false } = {}) {
+  const sentences = [];
+  const breaks = lines ? /[.!?]+["')\]]*(?=\s|$)|\n+/g : /[.!?]+["')\]]*(?=\s|$)|\n\s*\n/g;
+  let start = 0;
+  let match;
+  
+  const push = end => {
+    const raw = text.slice(start, end);
+    const trimmed = raw.trim();
+    if (trimmed) sentences.push({ offset: start + raw.indexOf(trimmed), text: trimmed });
+    start = end;
+  };
+  
+  while ((match = breaks.exec(text))) {
+    if (match[0] === '.' && isAbbreviation(text.slice(start, match.index).split(/\s+/).pop())) continue;
+    push(match.index + match[0].length);
+  }
+  
+  push(text.length);
+  return sentences;
+}
+
+module.exports = { splitSentences };
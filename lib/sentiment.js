@@ -0,0 +1,198 @@
+const afinn = require('afinn-165');
+const emojiEmotion = require('emoji-emotion');
+const { splitSentences } = require('./sentences');
+
+// Lexicon-based sentiment in the spirit of VADER, scored with the AFINN-165 word
+// list (3,382 terms rated -5..5) plus emoji and emoticon polarities. Each scored
+// token is adjusted for the words in front of it (negation, intensifiers), for
+// SHOUTING and for "but"; each sentence is then boosted by its exclamation marks
+// and squashed into -1..1.
+
+const EMOTICONS = new Map(Object.entries({
+  ':)': 2, ':-)': 2, '(:': 2, ':]': 2, '=)': 2, ':D': 3, ':-D': 3, 'xD': 3, 'XD': 3, '=D': 3,
+  ';)': 2, ';-)': 2, ':P': 1, ':-P': 1, ':p': 1, '<3': 3, '^_^': 2, '^^': 2, ':*': 2,
+  ':(': -2, ':-(': -2, '):': -2, ':[': -2, '=(': -2, ":'(": -3, ':/': -1, ':-/': -1,
+  ':|': -1, ':-|': -1, '>:(': -3, 'D:': -2, '</3': -3, '-_-': -1, 'T_T': -3, ':@': -3
+}));
+
+// Maps, so words like "constructor" cannot hit Object.prototype
+const LEXICON = new Map(Object.entries(afinn));
+const EMOJI = new Map(emojiEmotion.map(entry => [stripVariation(entry.emoji), entry.polarity]));
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'nowhere', 'neither', 'nor', 'without',
+  'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent', 'wont',
+  'wouldnt', 'shouldnt', 'couldnt', 'havent', 'hasnt', 'hadnt', 'aint', 'neednt', 'mustnt'
+]);
+
+// Multipliers for the score of the next sentiment word
+const INTENSIFIERS = new Map(Object.entries({
+  absolutely: 1.5, completely: 1.5, extremely: 1.5, incredibly: 1.5, totally: 1.4, utterly: 1.5,
+  enormously: 1.5, exceptionally: 1.5, hugely: 1.4, insanely: 1.5, remarkably: 1.4, truly: 1.3,
+  very: 1.3, really: 1.3, so: 1.25, too: 1.2, super: 1.4, highly: 1.3, most: 1.3, more: 1.15,
+  especially: 1.3, particularly: 1.2, quite: 1.1, pretty: 1.1, deeply: 1.4, terribly: 1.4,
+  awfully: 1.4, damn: 1.3, freaking: 1.4, fucking: 1.5, such: 1.2, thoroughly: 1.4,
+  slightly: 0.6, somewhat: 0.7, barely: 0.5, hardly: 0.5, kinda: 0.7, sorta: 0.7, little: 0.8,
+  marginally: 0.6, partly: 0.7, occasionally: 0.7, fairly: 0.9
+}));
+
+const NEGATION_SCALAR = -0.74;
+const NEGATION_WINDOW = 3;
+const CAPS_BOOST = 1.25;
+const EXCLAMATION_BOOST = 0.1; // per mark, up to four
+const NORMALIZE_ALPHA = 15;
+
+const emoticonPattern = [...EMOTICONS.keys()]
+  .sort((a, b) => b.length - a.length)
+  .map(emoticon => emoticon.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  .join('|');
+
+const TOKEN_PATTERN = new RegExp(
+  `(?<=^|\\s)(?:${emoticonPattern})(?=$|\\s|[.,!?])` +
+  '|\\p{Extended_Pictographic}(?:\\uFE0F|\\u200D\\p{Extended_Pictographic})*' +
+  "|[\\p{L}\\p{N}]+(?:['’][\\p{L}]+)*",
+  'gu'
+);
+
+function stripVariation(emoji) {
+  return emoji.replace(/\uFE0F/g, '');
+}
+
+function normalize(value) {
+  return Math.round(value / Math.sqrt(value * value + NORMALIZE_ALPHA) * 10000) / 10000;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function labelFor(compound) {
+  return compound >= 0.05 ? 'positive' : compound <= -0.05 ? 'negative' : 'neutral';
+}
+
+function tokenize(sentence) {
+  return (sentence.match(TOKEN_PATTERN) || []).map(raw => {
+    const word = /[\p{L}\p{N}]/u.test(raw[0]) && !EMOTICONS.has(raw);
+    return {
+      raw: raw,
+      word: word,
+      key: word ? raw.toLowerCase().replace(/’/g, "'") : raw
+    };
+  });
+}
+
+function lexiconScore(key) {
+  if (LEXICON.has(key)) return LEXICON.get(key);
+  const bare = key.replace(/'/g, '');
+  return LEXICON.get(bare);
+}
+
+function isNegation(token) {
+  if (!token.word) return false;
+  const bare = token.key.replace(/'/g, '');
+  return NEGATIONS.has(bare) || token.key.endsWith("n't");
+}
+
+// Looks for AFINN phrases ("does not work", "can't stand") before single words
+function matchAt(tokens, index) {
+  for (let length = 3; length >= 2; length--) {
+    const slice = tokens.slice(index, index + length);
+    if (slice.length < length || !slice.every(token => token.word)) continue;
+    
+    const phrase = slice.map(token => token.key).join(' ');
+    const score = lexiconScore(phrase);
+    if (score !== undefined) return { length, text: slice.map(token => token.raw).join(' '), score };
+  }
+  
+  const token = tokens[index];
+  const score = token.word ? lexiconScore(token.key) : EMOTICONS.has(token.raw) ? EMOTICONS.get(token.raw) : EMOJI.get(stripVariation(token.raw));
+  return score === undefined ? null : { length: 1, text: token.raw, score };
+}
+
+function scoreSentence(sentence, index, mixedCase) {
+  const tokens = tokenize(sentence);
+  const butAt = tokens.findIndex(token => token.key === 'but');
+  const contributions = [];
+  let consumedUntil = -1;
+  
+  for (let i = 0; i < tokens.length; i++) {
+    if (i <= consumedUntil) continue;
+    
+    const match = matchAt(tokens, i);
+    if (!match) continue;
+    
+    // Negations and intensifiers shape the word after them instead of being scored
+    const intensifies = INTENSIFIERS.has(tokens[i].key) && i + 1 < tokens.length && matchAt(tokens, i + 1);
+    if (match.length === 1 && (isNegation(tokens[i]) || intensifies)) continue;
+    
+    // Negation reaches back a few words, but not into an earlier match
+    const window = tokens.slice(Math.max(0, i - NEGATION_WINDOW, consumedUntil + 1), i);
+    consumedUntil = i + match.length - 1;
+    
+    const modifiers = [];
+    let score = match.score;
+    
+    // Intensifiers directly in front, e.g. "really very good"
+    for (let j = i - 1; j >= 0 && INTENSIFIERS.has(tokens[j].key); j--) {
+      score *= INTENSIFIERS.get(tokens[j].key);
+      modifiers.push(`intensifier:${tokens[j].key}`);
+    }
+    
+    if (match.length === 1 && tokens[i].word && window.some(isNegation)) {
+      score *= NEGATION_SCALAR;
+      modifiers.push('negated');
+    }
+    
+    if (mixedCase && tokens[i].word && match.text.length > 1 && match.text === match.text.toUpperCase()) {
+      score *= CAPS_BOOST;
+      modifiers.push('caps');
+    }
+    
+    if (butAt !== -1) {
+      score *= i < butAt ? 0.5 : 1.5;
+      modifiers.push(i < butAt ? 'before-but' : 'after-but');
+    }
+    
+    contributions.push({ token: match.text, sentence: index, base: match.score, score: round(score), modifiers });
+  }
+  
+  let total = contributions.reduce((sum, contribution) => sum + contribution.score, 0);
+  const exclamations = Math.min((sentence.match(/!/g) || []).length, 4);
+  if (total !== 0 && exclamations > 0) {
+    total *= 1 + exclamations * EXCLAMATION_BOOST;
+  }
+  
+  return { total, words: tokens.filter(token => token.word).length, contributions };
+}
+
+// Returns { score, compound, comparative, sentiment, sentences, tokens }.
+// score is compound on a -100..100 scale; comparative is the raw total per word.
+function analyzeSentiment(text) {
+  // CAPS only counts as emphasis when the rest of the text is not shouted too
+  const letters = text.match(/\p{L}/gu) || [];
+  const mixedCase = letters.some(letter => letter === letter.toLowerCase() && letter !== letter.toUpperCase());
+  
+  const sentences = splitSentences(text, { lines: true }).map(({ text: sentence }, index) => ({ text: sentence, ...scoreSentence(sentence, index, mixedCase) }));
+  const total = sentences.reduce((sum, sentence) => sum + sentence.total, 0);
+  const words = sentences.reduce((sum, sentence) => sum + sentence.words, 0);
+  const compound = normalize(total);
+  
+  return {
+    score: Math.round(compound * 100),
+    compound: compound,
+    comparative: words ? round(total / words) : 0,
+    sentiment: labelFor(compound),
+    sentences: sentences.map(sentence => {
+      const sentenceCompound = normalize(sentence.total);
+      return {
+        text: sentence.text,
+        score: Math.round(sentenceCompound * 100),
+        compound: sentenceCompound,
+        sentiment: labelFor(sentenceCompound)
+      };
+    }),
+    tokens: sentences.flatMap(sentence => sentence.contributions)
+  };
+}
+
+module.exports = { analyzeSentiment };
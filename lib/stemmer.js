@@ -0,0 +1,87 @@
+// The Porter (1980) stemmer for English, so "running", "runs" and "run" all
+// reduce to "run". Stems are only used as grouping keys, they are not words.
+
+const STEP2 = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'],
+  ['logi', 'log']
+];
+
+const STEP3 = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+// Longest first, the first suffix that matches decides
+const STEP4 = [
+  'ement', 'ance', 'ence', 'able', 'ible', 'ment', 'ant', 'ent', 'ion', 'ism', 'ate', 'iti', 'ous',
+  'ive', 'ize', 'al', 'er', 'ic', 'ou'
+];
+
+// In Porter's notation a word is [C](VC){m}[V]; y counts as a vowel after a consonant
+const C = '[^aeiou][^aeiouy]*';
+const V = '[aeiouy][aeiou]*';
+const MEASURE_GT_0 = new RegExp(`^(${C})?${V}${C}`);
+const MEASURE_EQ_1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?[aeiouy]`);
+const ENDS_CVC = new RegExp(`${C}[aeiouy][^aeiouwxy]$`);
+
+function replaceSuffix(word, rules, condition) {
+  for (const [suffix, replacement] of rules) {
+    if (!word.endsWith(suffix)) continue;
+    const stem = word.slice(0, -suffix.length);
+    return condition.test(stem) ? stem + replacement : word;
+  }
+  return word;
+}
+
+function stem(word) {
+  if (word.length < 3) return word;
+  
+  let w = word;
+  const initialY = w[0] === 'y';
+  if (initialY) w = 'Y' + w.slice(1);
+  
+  // Step 1a: plurals
+  if (w.endsWith('sses') || w.endsWith('ies')) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+  
+  // Step 1b: -eed, -ed, -ing
+  if (w.endsWith('eed')) {
+    if (MEASURE_GT_0.test(w.slice(0, -3))) w = w.slice(0, -1);
+  } else {
+    const match = w.match(/^(.+?)(ed|ing)$/);
+    if (match && HAS_VOWEL.test(match[1])) {
+      w = match[1];
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (MEASURE_EQ_1.test(w) && ENDS_CVC.test(w)) w += 'e';
+    }
+  }
+  
+  // Step 1c: y -> i
+  if (w.endsWith('y') && HAS_VOWEL.test(w.slice(0, -1))) w = w.slice(0, -1) + 'i';
+  
+  w = replaceSuffix(w, STEP2, MEASURE_GT_0);
+  w = replaceSuffix(w, STEP3, MEASURE_GT_0);
+  
+  // Step 4: drop suffixes when the rest is long enough
+  const suffix = STEP4.find(ending => w.endsWith(ending));
+  if (suffix) {
+    const rest = w.slice(0, -suffix.length);
+    if (MEASURE_GT_1.test(rest) && (suffix !== 'ion' || /[st]$/.test(rest))) w = rest;
+  }
+  
+  // Step 5: final -e and -ll
+  if (w.endsWith('e')) {
+    const rest = w.slice(0, -1);
+    if (MEASURE_GT_1.test(rest) || (MEASURE_EQ_1.test(rest) && !ENDS_CVC.test(rest))) w = rest;
+  }
+  if (w.endsWith('ll') && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+  
+  return initialY ? 'y' + w.slice(1) : w;
+}
+
+module.exports = { stem };
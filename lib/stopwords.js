@@ -0,0 +1,71 @@
+// Stopword lists keyed by ISO 639-1 code, based on the common Snowball lists.
+// Words are lowercase; apostrophes are plain ASCII.
+
+const LISTS = {
+  en: `a about above after again against all also am an and any are aren't as at be because been
+    before being below between both but by can can't cannot could couldn't did didn't do does doesn't
+    doing don't down during each either else etc even ever every few for from further get gets got had
+    hadn't has hasn't have haven't having he he'd he'll he's her here here's hers herself him himself
+    his how how's however i i'd i'll i'm i've if in into is isn't it it's its itself just let's like
+    may me might more most much must mustn't my myself neither no nor not now of off often on once only
+    or other ought our ours ourselves out over own per rather same shall shan't she she'd she'll she's
+    should shouldn't since so some such than that that's the their theirs them themselves then there
+    there's these they they'd they'll they're they've this those though through thus to too under
+    until up upon us very via was wasn't we we'd we'll we're we've were weren't what what's when
+    when's where where's whether which while who who's whom whose why why's will with within without
+    won't would wouldn't yet you you'd you'll you're you've your yours yourself yourselves`,
+  
+  es: `a al algo algunas algunos ante antes como con contra cual cuando de del desde donde durante e
+    el ella ellas ellos en entre era erais eran eras eres es esa esas ese eso esos esta estaba estaban
+    estado estamos estar estas este esto estos estoy fue fueron fui fuimos ha habia han has hasta hay
+    he la las le les lo los mas me mi mis mucho muchos muy nada ni no nos nosotras nosotros o os otra
+    otras otro otros para pero poco por porque que quien quienes se sea sean ser si siendo sin sobre
+    sois somos son soy su sus suya suyo también tanto te tenemos tener tengo ti tiene tienen todo
+    todos tu tus un una uno unos usted ustedes vosotros y ya yo él ésta éste más mí qué sí tú`,
+  
+  fr: `a ai aie aient aies ait alors as au aucun aura aurai auraient aurais aurait aux avaient avais
+    avait avec avez aviez avions avoir avons ayant c ce ceci cela celle celles celui ces cet cette
+    ceux chaque comme d dans de des donc dont du elle elles en encore est et étaient étais était été
+    être eu eux fait fut ici il ils j je l la le les leur leurs lui m ma mais me même mes moi mon
+    n ne ni nos notre nous on ont ou où par pas peu peut plus pour qu quand que quel quelle quels qui
+    s sa sans se sera serait ses si son sont sous sur t ta te tes toi ton tous tout toute toutes très
+    tu un une vos votre vous y à ça`,
+  
+  de: `aber alle allem allen aller alles als also am an ander andere anderem anderen anderer anderes
+    auch auf aus bei bin bis bist da damit dann das dass dasselbe dazu dein deine deinem deinen deiner
+    dem den denn der des dessen dich die dies diese diesem diesen dieser dieses dir doch dort du durch
+    ein eine einem einen einer eines einig einige er es etwas euch euer eure für gegen gewesen hab
+    habe haben hat hatte hatten hier hin hinter ich ihm ihn ihnen ihr ihre ihrem ihren ihrer im in
+    indem ins ist jede jedem jeden jeder jedes jene jetzt kann kein keine keinem keinen keiner können
+    könnte machen man manche mein meine meinem meinen meiner mich mir mit muss musste nach nicht
+    nichts noch nun nur ob oder ohne sehr sein seine seinem seinen seiner selbst sich sie sind so
+    solche soll sollte sondern sonst über um und uns unser unsere unter viel vom von vor war waren
+    warum was weil welche welchem welchen welcher welches wenn werde werden wie wieder will wir wird
+    wo wollen wollte würde würden zu zum zur zwar zwischen`,
+  
+  it: `a ad agli ai al alla alle allo anche avere aveva avevano c che chi ci come con contro cui da
+    dagli dai dal dalla dalle dallo degli dei del della delle dello di dove e è ed era erano essere
+    gli ha hai hanno ho i il in io la le lei li lo loro lui ma mi mia mie miei mio ne negli nei nel
+    nella nelle nello noi non nostra nostre nostri nostro o per perché più quale quando quella quelle
+    quelli quello questa queste questi questo se sei si sia siamo sono sta stato su sua sue sugli
+    sui sul sulla sulle suo suoi ti tra tu tua tue tuo tuoi tutti tutto un una uno vi voi`,
+  
+  pt: `a ao aos aquela aquelas aquele aqueles aquilo as até com como da das de dela delas dele deles
+    depois do dos e ela elas ele eles em entre era eram essa essas esse esses esta estas este estes
+    eu foi foram há isso isto já lhe lhes mais mas me mesmo meu meus minha minhas muito na não nas
+    nem no nos nós nossa nossas nosso nossos num numa o os ou para pela pelas pelo pelos por quando
+    que quem se seja sem ser seu seus só sua suas também te tem têm tenho teu tua tu um uma você
+    vocês à às é`,
+  
+  nl: `aan al alles als altijd andere ben bij daar dan dat de der deze die dit doch doen door dus een
+    eens en er ge geen geweest haar had heb hebben heeft hem het hier hij hoe hun iemand iets ik in
+    is ja je kan kon kunnen maar me meer men met mij mijn moet na naar niet niets nog nu of om omdat
+    onder ons ook op over reeds te tegen toch toen tot u uit uw van veel voor want waren was wat
+    werd wezen wie wil worden wordt zal ze zelf zich zij zijn zo zonder zou`
+};
+
+const STOPWORDS = Object.fromEntries(
+  Object.entries(LISTS).map(([lang, words]) => [lang, new Set(words.split(/\s+/).filter(Boolean))])
+);
+
+module.exports = { STOPWORDS };
@@ -0,0 +1,89 @@
+const { STOPWORDS } = require('./stopwords');
+const { stem } = require('./stemmer');
+const { splitSentences } = require('./sentences');
+
+// Extractive summaries with TextRank (Mihalcea & Tarau 2004): sentences are
+// nodes, edges are weighted by how many stemmed content words two sentences
+// share, and the best ranked sentences are returned in their original order.
+
+const DAMPING = 0.85;
+const ITERATIONS = 50;
+
+// How many sentences each length keeps: a share of the text, within bounds
+const LENGTH_BUDGETS = {
+  short: { ratio: 0.15, min: 1, max: 2 },
+  medium: { ratio: 0.3, min: 2, max: 5 },
+  long: { ratio: 0.5, min: 3, max: 10 }
+};
+
+function contentWords(sentence) {
+  const words = sentence.toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu) || [];
+  return words.filter(word => word.length > 1 && !STOPWORDS.en.has(word.replace(/’/g, "'"))).map(stem);
+}
+
+// Shared words, normalised by sentence length so long sentences don't win by default
+function similarity(a, b) {
+  if (a.words.length < 2 || b.words.length < 2) return 0;
+  let shared = 0;
+  a.unique.forEach(word => { if (b.unique.has(word)) shared++; });
+  return shared / (Math.log(a.words.length) + Math.log(b.words.length));
+}
+
+function rankSentences(words) {
+  const nodes = words.map(list => ({ words: list, unique: new Set(list) }));
+  // edges[i] = [[j, weight]], only for sentences that share something
+  const edges = nodes.map(() => []);
+  
+  nodes.forEach((a, i) => {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const weight = similarity(a, nodes[j]);
+      if (weight === 0) continue;
+      edges[i].push([j, weight]);
+      edges[j].push([i, weight]);
+    }
+  });
+  
+  const totals = edges.map(list => list.reduce((sum, [, weight]) => sum + weight, 0));
+  let ranks = new Array(nodes.length).fill(1);
+  
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const next = edges.map(list => {
+      const sum = list.reduce((total, [j, weight]) => total + (weight / totals[j]) * ranks[j], 0);
+      return (1 - DAMPING) + DAMPING * sum;
+    });
+    
+    const change = Math.max(...next.map((rank, i) => Math.abs(rank - ranks[i])));
+    ranks = next;
+    if (change < 1e-6) break;
+  }
+  
+  return ranks;
+}
+
+function budgetFor(length, sentenceCount) {
+  const budget = LENGTH_BUDGETS[length] || LENGTH_BUDGETS.medium;
+  const wanted = Math.round(sentenceCount * budget.ratio);
+  return Math.min(sentenceCount, Math.max(budget.min, Math.min(budget.max, wanted)));
+}
+
+// Returns { summary, sentences: [index], totalSentences }. Indices are 0-based
+// positions in the split text, ascending. Ties go to the earlier sentence.
+function summarizeExtractive(text, { length = 'medium' } = {}) {
+  const sentences = splitSentences(text).map(sentence => sentence.text);
+  const ranks = rankSentences(sentences.map(contentWords));
+  
+  const chosen = ranks
+    .map((rank, index) => ({ rank, index }))
+    .sort((a, b) => b.rank - a.rank || a.index - b.index)
+    .slice(0, budgetFor(length, sentences.length))
+    .map(entry => entry.index)
+    .sort((a, b) => a - b);
+  
+  return {
+    summary: chosen.map(index => sentences[index]).join(' '),
+    sentences: chosen,
+    totalSentences: sentences.length
+  };
+}
+
+module.exports = { summarizeExtractive };
@@ -10,7 +10,6 @@ npm install
 # Create production environment file
 echo "⚙️ Setting up production environment..."
 echo "NODE_ENV=production" > .env
-echo "PORT=\$PORT" >> .env
 echo "RENDER=true" >> .env
 
 # Start the server